@@ -0,0 +1,131 @@
+import fs from 'fs';
+
+/**
+ * Badge rule types. `evaluate(row, rule, ctx)` looks at one cumulative leaderboard row and returns
+ * a short detail ("Streak of 5") when the badge is earned, or null. `check(rule)` throws on a bad rule.
+ */
+const RULE_TYPES = {
+    // { "type": "firstAc", "min": 1 }: first-AC bonuses in at least `min` contests.
+    firstAc: {
+        check: ({ min = 1 }) => positiveInt(min, 'min'),
+        evaluate: (row, { min = 1 }) => {
+            const count = Object.values(row.contests).filter(entry => entry.firstAcBonus > 0).length;
+            return count >= min ? `First AC in ${count} contest${count === 1 ? '' : 's'}` : null;
+        }
+    },
+    // { "type": "streak", "min": 4 }: a streak of at least `min` at any point.
+    streak: {
+        check: ({ min }) => positiveInt(min, 'min'),
+        evaluate: (row, { min }) => {
+            const longest = Math.max(0, ...Object.values(row.contests).map(entry => entry.streak || 0));
+            return longest >= min ? `Streak of ${longest}` : null;
+        }
+    },
+    // { "type": "attendance", "all": true } or { "type": "attendance", "min": 5 }.
+    attendance: {
+        check: ({ all, min }) => (all === true ? null : positiveInt(min, 'min')),
+        evaluate: (row, { all, min }, ctx) => {
+            const attended = ctx.orderedIds.filter(id => row.contests[id]).length;
+            const needed = all ? ctx.orderedIds.length : min;
+            return needed > 0 && attended >= needed ? `Attended ${attended} of ${ctx.orderedIds.length} contests` : null;
+        }
+    },
+    // { "type": "contestRank", "max": 10 }: finished a contest ranked `max` or better.
+    contestRank: {
+        check: ({ max }) => positiveInt(max, 'max'),
+        evaluate: (row, { max }, ctx) => {
+            const finishes = ctx.orderedIds.filter(id => row.contests[id]?.rank && row.contests[id].rank <= max);
+            if (finishes.length === 0) return null;
+            const best = Math.min(...finishes.map(id => row.contests[id].rank));
+            return `Best finish #${best}${finishes.length > 1 ? ` (top ${max} ${finishes.length} times)` : ''}`;
+        }
+    },
+    // { "type": "climb", "biggest": true } or { "type": "climb", "min": 10 }: places gained in the
+    // cumulative standings after one contest, while scoring in it.
+    climb: {
+        check: ({ biggest, min }) => (biggest === true ? null : positiveInt(min, 'min')),
+        evaluate: (row, { biggest, min }, ctx) => {
+            const climb = ctx.climbs.get(row.handle);
+            if (!climb || climb.places < (biggest ? ctx.biggestClimb : min)) return null;
+            return `Up ${climb.places} place${climb.places === 1 ? '' : 's'} after ${ctx.contestName(climb.contestId)}`;
+        }
+    }
+};
+
+function positiveInt(value, name) {
+    if (!Number.isInteger(value) || value < 1) throw new Error(`"${name}" must be a positive integer`);
+}
+
+/**
+ * Reads the badge definitions in `filePath`: a JSON array of
+ * `{ "id", "name", "description", "color", "rule": { "type", ... } }`, with rule types as above.
+ */
+export function loadAchievements(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    const definitions = [];
+    for (const definition of JSON.parse(fs.readFileSync(filePath, 'utf-8'))) {
+        try {
+            if (!definition.id || !definition.name) throw new Error('missing "id" or "name"');
+            const type = RULE_TYPES[definition.rule?.type];
+            if (!type) throw new Error(`unknown rule type "${definition.rule?.type}"; expected ${Object.keys(RULE_TYPES).join(', ')}`);
+            type.check(definition.rule);
+            definitions.push(definition);
+        } catch (err) {
+            console.error(`Skipping achievement ${definition.id || '(no id)'}: ${err.message}`);
+        }
+    }
+    return definitions;
+}
+
+export const describeAchievement = ({ id, name, description, color }) => ({ id, name, description: description || '', color: color || null });
+
+// A trainer's rank by running total counts everyone strictly ahead, so ties share a rank.
+function rankTotals(totals) {
+    const scores = [...totals.values()].sort((a, b) => b - a);
+    const firstIndex = new Map();
+    scores.forEach((score, index) => { if (!firstIndex.has(score)) firstIndex.set(score, index); });
+    return new Map([...totals].map(([handle, score]) => [handle, firstIndex.get(score) + 1]));
+}
+
+// Each trainer's largest climb after a single contest they scored in: `{ places, contestId }`.
+function bestClimbs(leaderboard, orderedIds) {
+    const totals = new Map();
+    const climbs = new Map();
+    let previous = new Map();
+    for (const contestId of orderedIds) {
+        for (const row of leaderboard) {
+            if (row.contests[contestId]) totals.set(row.handle, (totals.get(row.handle) || 0) + row.contests[contestId].score);
+        }
+        const ranks = rankTotals(totals);
+        for (const row of leaderboard) {
+            const before = previous.get(row.handle);
+            if (before === undefined || !(row.contests[contestId]?.score > 0)) continue;
+            const places = before - ranks.get(row.handle);
+            if (places > 0 && places > (climbs.get(row.handle)?.places || 0)) climbs.set(row.handle, { places, contestId });
+        }
+        previous = ranks;
+    }
+    return climbs;
+}
+
+/**
+ * Adds `badges: [{ id, name, detail }]` to every cumulative leaderboard row. `contests` is the
+ * `[{ id, name }]` list and `orderedIds` the scoring order, as returned by `scoreSeries`.
+ */
+export function awardBadges(leaderboard, definitions, { contests, orderedIds }) {
+    const climbs = bestClimbs(leaderboard, orderedIds);
+    const ctx = {
+        orderedIds,
+        climbs,
+        biggestClimb: Math.max(1, ...[...climbs.values()].map(climb => climb.places)),
+        contestName: (id) => contests.find(contest => contest.id === id)?.name || `Contest ${id}`
+    };
+    return leaderboard.map(row => {
+        const badges = [];
+        for (const definition of definitions) {
+            const detail = RULE_TYPES[definition.rule.type].evaluate(row, definition.rule, ctx);
+            if (detail) badges.push({ id: definition.id, name: definition.name, detail });
+        }
+        return { ...row, badges };
+    });
+}
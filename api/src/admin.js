@@ -0,0 +1,309 @@
+import express from 'express';
+import crypto from 'crypto';
+import { extname } from 'path';
+import { parseLeaderboardCsv } from './sources.js';
+import { isFullHackerRankCsv, parseHackerRankExport } from './hackerrank.js';
+import { recordAudit } from './audit.js';
+import { PLATFORMS } from './identity.js';
+import { describeContest, parseMetadata } from './metadata.js';
+import { canFreeze, freezeStandings, unfreezeStandings, activeFreeze, revealResults, describeFreeze } from './freeze.js';
+
+const ADJUSTABLE_FIELDS = ['baseScore', 'firstAcBonus'];
+
+// `ADMIN_TOKENS` is a comma-separated list of `name:token` pairs, so audit entries can name who
+// made a change; a bare `ADMIN_TOKEN` is accepted as a single admin called "admin".
+function adminTokens() {
+    const tokens = (process.env.ADMIN_TOKENS || '').split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+        const separator = pair.indexOf(':');
+        return { name: pair.slice(0, separator), token: pair.slice(separator + 1) };
+    }).filter(({ name, token }) => name && token);
+    if (process.env.ADMIN_TOKEN) tokens.push({ name: 'admin', token: process.env.ADMIN_TOKEN });
+    return tokens;
+}
+
+function tokenMatches(provided, token) {
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(provided);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function requireAdmin(req, res, next) {
+    const tokens = adminTokens();
+    if (tokens.length === 0) return res.status(503).json({ status: 'FAILED', comment: 'Admin API is disabled (ADMIN_TOKENS is not set)' });
+    const provided = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const admin = tokens.find(({ token }) => tokenMatches(provided, token));
+    if (!admin) return res.status(401).json({ status: 'FAILED', comment: 'Invalid admin token' });
+    req.adminName = admin.name;
+    next();
+}
+
+// Audit entries hold identities as one readable line, e.g. `Samyak (codeforces: SamyakJain092006; hackerrank: samyakjain092006)`.
+function describeIdentity(identity) {
+    if (!identity) return null;
+    const handles = PLATFORMS.filter(platform => identity.handles[platform]?.length).map(platform => `${platform}: ${identity.handles[platform].join(', ')}`);
+    return `${identity.displayName} (${handles.join('; ') || 'no handles'})`;
+}
+
+function fail(res, comment, extra = {}) {
+    return res.status(400).json({ status: 'FAILED', comment, ...extra });
+}
+
+// Validates an uploaded leaderboard and returns the source fields to store it under.
+function parseUpload(content, platform) {
+    if (platform !== 'hackerrank') {
+        const { entries, errors } = parseLeaderboardCsv(content, 'upload');
+        return { rowCount: entries.length, errors, source: { type: 'csv' }, ext: 'txt' };
+    }
+    const trimmed = content.trimStart();
+    const format = trimmed.startsWith('{') || trimmed.startsWith('[') ? 'json' : (isFullHackerRankCsv(content) ? 'csv' : 'leaderboard');
+    if (format === 'leaderboard') {
+        const { entries, errors } = parseLeaderboardCsv(content, 'upload');
+        return { rowCount: entries.length, errors, source: { type: 'hackerrank', format }, ext: 'txt' };
+    }
+    const { rows, errors } = parseHackerRankExport(content, { format, filename: 'upload' });
+    return { rowCount: rows.length, errors, source: { type: 'hackerrank', format }, ext: format === 'json' ? 'json' : 'txt' };
+}
+
+/**
+ * Authenticated routes for editing contests, trainer identities and score adjustments
+ * at runtime. Every change is persisted to the store, recorded in the audit log and calls
+ * `invalidate` so cached standings are rebuilt on the next request. `getScoreBreakdown` resolves
+ * a trainer's row handle and current `{ baseScore, firstAcBonus }` in a contest from any spelling
+ * of the handle, or null without a row; it also supplies the audit's before/after values.
+ * `getIdentityReport` lists a contest's unmatched and ambiguous handles. `getRawStandings` loads a
+ * contest's unfrozen standings and `publishScoreboard(contestId, steps)` pushes a freeze or reveal to live viewers.
+ */
+export function createAdminRouter({ store, identities, getContestConfig, listContestConfigs, invalidate, getScoreBreakdown, getIdentityReport, getRawStandings, publishScoreboard }) {
+    const router = express.Router();
+
+    router.use(requireAdmin);
+
+    router.get('/contests', (_, res) => {
+        res.json({ status: 'OK', result: listContestConfigs() });
+    });
+
+    router.post('/contests/:id/leaderboard', (req, res) => {
+        const { id } = req.params;
+        const { content, name, reason } = req.body || {};
+        const existing = getContestConfig(id);
+        const platform = req.body?.platform || existing?.platform || 'codeforces';
+        if (!/^\d+$/.test(id)) return fail(res, 'Contest id must be numeric');
+        if (typeof content !== 'string' || !content.trim()) return fail(res, 'content is required');
+        if (!PLATFORMS.includes(platform)) return fail(res, `platform must be one of ${PLATFORMS.join(', ')}`);
+
+        let upload;
+        try {
+            upload = parseUpload(content, platform);
+        } catch (err) {
+            return fail(res, err.message);
+        }
+        if (upload.errors.length > 0) return fail(res, 'Leaderboard has malformed lines', { errors: upload.errors });
+
+        const previousRowCount = store.get('standings', id)?.standings.rows.length ?? null;
+        const previousFile = existing?.source?.file;
+        const file = previousFile && extname(previousFile) === `.${upload.ext}` ? previousFile : `leaderboard-${id}.${upload.ext}`;
+        store.set('leaderboards', file, { contestId: id, content, uploadedAt: new Date().toISOString() });
+
+        const config = {
+            ...existing,
+            id,
+            name: name || existing?.name || `Contest ${id}`,
+            platform,
+            source: { ...(existing?.source?.type === upload.source.type ? existing.source : {}), ...upload.source, file },
+            scoring: existing?.scoring || {}
+        };
+        store.set('contests', id, config);
+        invalidate(id);
+        recordAudit(store, { author: req.adminName, action: 'leaderboard.upload', contestId: id, field: 'rows', before: previousRowCount, after: upload.rowCount, reason: reason || null });
+        res.json({ status: 'OK', result: config });
+    });
+
+    // Date, links and notes only: scoring is unchanged, so cached standings stay valid.
+    router.put('/contests/:id/metadata', (req, res) => {
+        const { id } = req.params;
+        const existing = getContestConfig(id);
+        if (!existing) return res.status(404).json({ status: 'FAILED', comment: `Unknown contest ${id}` });
+        let update;
+        try {
+            update = parseMetadata(req.body);
+        } catch (err) {
+            return fail(res, err.message);
+        }
+        const config = { ...existing, ...update };
+        if (update.links) config.links = { ...existing.links, ...update.links };
+        store.set('contests', id, config);
+        const fields = Object.keys(update);
+        recordAudit(store, {
+            author: req.adminName, action: 'contest.metadata', contestId: id, field: fields.join(', '),
+            before: JSON.stringify(Object.fromEntries(fields.map(field => [field, existing[field] ?? null]))),
+            after: JSON.stringify(update), reason: req.body?.reason || null
+        });
+        res.json({ status: 'OK', result: describeContest(config) });
+    });
+
+    // Scoreboard freeze for live contests (see freeze.js): freeze now, reveal results one by one, or unfreeze.
+    // Unfreezing is final for the scheduled freeze; an admin can still freeze the contest again by hand.
+    router.post('/contests/:id/freeze', async (req, res) => {
+        const { id } = req.params;
+        if (activeFreeze(store, id)) return res.status(409).json({ status: 'FAILED', comment: `Contest ${id} is already frozen` });
+        try {
+            const standings = await getRawStandings(id);
+            if (!canFreeze(standings)) return res.status(409).json({ status: 'FAILED', comment: 'Only a running contest can be frozen' });
+            const state = freezeStandings(store, id, standings, req.adminName);
+            recordAudit(store, { author: req.adminName, action: 'scoreboard.freeze', contestId: id, field: 'rows', after: standings.rows.length, reason: req.body?.reason || null });
+            await publishScoreboard(id);
+            res.json({ status: 'OK', result: describeFreeze(state, getContestConfig(id), standings.contest, standings) });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ status: 'FAILED', comment: err.message });
+        }
+    });
+
+    router.post('/contests/:id/reveal', async (req, res) => {
+        const { id } = req.params;
+        const state = activeFreeze(store, id);
+        if (!state) return res.status(404).json({ status: 'FAILED', comment: `Contest ${id} is not frozen` });
+        if (state.completedAt) return res.status(409).json({ status: 'FAILED', comment: 'Every result is already revealed' });
+        try {
+            const standings = await getRawStandings(id);
+            if (canFreeze(standings)) return res.status(409).json({ status: 'FAILED', comment: 'Results can be revealed once the contest has finished' });
+            const { state: next, steps, pending } = revealResults(state, standings, { all: req.body?.all === true });
+            store.set('freezes', id, next);
+            if (next.completedAt) recordAudit(store, { author: req.adminName, action: 'scoreboard.reveal', contestId: id, field: 'revealed', before: state.revealed.length, after: next.revealed.length });
+            await publishScoreboard(id, steps);
+            res.json({ status: 'OK', result: { steps, pending, freeze: describeFreeze(next, getContestConfig(id), standings.contest, standings) } });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ status: 'FAILED', comment: err.message });
+        }
+    });
+
+    router.delete('/contests/:id/freeze', async (req, res) => {
+        const { id } = req.params;
+        const state = activeFreeze(store, id);
+        if (!state) return res.status(404).json({ status: 'FAILED', comment: `Contest ${id} is not frozen` });
+        try {
+            // A marker rather than a delete, so the scheduled freeze does not retake a contest an admin unfroze.
+            unfreezeStandings(store, id, req.adminName);
+            recordAudit(store, { author: req.adminName, action: 'scoreboard.unfreeze', contestId: id, field: 'revealed', before: state.revealed.length, reason: req.body?.reason || null });
+            await publishScoreboard(id);
+            res.json({ status: 'OK', result: { contestId: id } });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ status: 'FAILED', comment: err.message });
+        }
+    });
+
+    router.get('/identities', (_, res) => {
+        res.json({ status: 'OK', result: identities.list() });
+    });
+
+    router.get('/identities/report', async (req, res) => {
+        const contestIds = req.query.contestId ? [req.query.contestId] : listContestConfigs().map(c => c.id);
+        try {
+            const reports = await Promise.all(contestIds.map(id => getIdentityReport(id)));
+            res.json({ status: 'OK', result: reports.filter(report => report.issues.length > 0) });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ status: 'FAILED', comment: err.message });
+        }
+    });
+
+    router.put('/identities/:id', (req, res) => {
+        const id = req.params.id.trim();
+        const { displayName, handles = {}, reason } = req.body || {};
+        if (!id) return fail(res, 'An identity ID is required');
+        if (displayName !== undefined && displayName !== null && typeof displayName !== 'string') return fail(res, 'displayName must be a string');
+        if (reason !== undefined && reason !== null && typeof reason !== 'string') return fail(res, 'reason must be a string');
+        if (handles === null || typeof handles !== 'object' || Array.isArray(handles)) return fail(res, `handles must be an object keyed by ${PLATFORMS.join(', ')}`);
+        const unknown = Object.keys(handles).filter(platform => !PLATFORMS.includes(platform));
+        if (unknown.length > 0) return fail(res, `handles has unknown platforms ${unknown.join(', ')}; expected ${PLATFORMS.join(', ')}`);
+        const invalid = PLATFORMS.find(platform => handles[platform] !== undefined && !(Array.isArray(handles[platform]) && handles[platform].every(handle => typeof handle === 'string')));
+        if (invalid) return fail(res, `handles.${invalid} must be a list of handles`);
+        const cleaned = Object.fromEntries(PLATFORMS.map(platform => [
+            platform,
+            Array.from(new Set((handles[platform] || []).map(handle => handle.trim()).filter(Boolean)))
+        ]));
+        if (Object.values(cleaned).flat().some(handle => handle.includes(','))) return fail(res, 'Handles cannot contain commas');
+        const taken = identities.conflict(id, cleaned);
+        if (taken) return res.status(409).json({ status: 'FAILED', comment: `${taken.platform} handle ${taken.handle} already belongs to ${taken.owner}` });
+
+        const before = identities.get(id);
+        const identity = { id, displayName: displayName?.trim() || before?.displayName || id, handles: cleaned };
+        store.set('identities', id, identity);
+        invalidate();
+        recordAudit(store, { author: req.adminName, action: before ? 'identity.update' : 'identity.create', handle: id, field: 'identity', before: describeIdentity(before), after: describeIdentity(identity), reason: reason || null });
+        res.json({ status: 'OK', result: identity });
+    });
+
+    router.delete('/identities/:id', (req, res) => {
+        const { id } = req.params;
+        const before = identities.get(id);
+        if (!store.delete('identities', id)) return res.status(404).json({ status: 'FAILED', comment: `No identity ${id}` });
+        invalidate();
+        recordAudit(store, { author: req.adminName, action: 'identity.remove', handle: id, field: 'identity', before: describeIdentity(before), after: null, reason: req.body?.reason || null });
+        res.json({ status: 'OK', result: { id } });
+    });
+
+    router.get('/adjustments', (_, res) => {
+        res.json({ status: 'OK', result: store.list('adjustments') });
+    });
+
+    router.post('/adjustments', async (req, res) => {
+        const { contestId, handle, field, value, reason } = req.body || {};
+        if (!['string', 'number'].includes(typeof contestId) || !/^\d+$/.test(String(contestId).trim())) return fail(res, 'contestId must be a numeric contest id');
+        if (typeof handle !== 'string' || !handle.trim()) return fail(res, 'handle is required');
+        if (!ADJUSTABLE_FIELDS.includes(field)) return fail(res, `field must be one of ${ADJUSTABLE_FIELDS.join(', ')}`);
+        if (typeof value !== 'number' || !Number.isFinite(value)) return fail(res, 'value must be a number');
+        if (typeof reason !== 'string' || !reason.trim()) return fail(res, 'A reason is required for every adjustment');
+
+        try {
+            // Adjustments are stored under the handle the contest's leaderboard row uses, whatever spelling or linked handle was typed.
+            const before = await getScoreBreakdown(String(contestId).trim(), identities.resolve(handle).id);
+            if (!before) return fail(res, `${handle.trim()} has no row in contest ${String(contestId).trim()}`);
+            const adjustment = {
+                id: crypto.randomUUID(),
+                contestId: String(contestId).trim(),
+                handle: before.handle,
+                field,
+                value,
+                reason: reason.trim(),
+                author: req.adminName,
+                createdAt: new Date().toISOString()
+            };
+            store.set('adjustments', adjustment.id, adjustment);
+            invalidate(adjustment.contestId);
+            recordAudit(store, {
+                author: req.adminName, action: 'adjustment.add', contestId: adjustment.contestId, handle: adjustment.handle,
+                field, before: before[field], after: value, reason: adjustment.reason
+            });
+            res.status(201).json({ status: 'OK', result: adjustment });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ status: 'FAILED', comment: err.message });
+        }
+    });
+
+    router.delete('/adjustments/:id', async (req, res) => {
+        const removed = store.get('adjustments', req.params.id);
+        if (!removed) return res.status(404).json({ status: 'FAILED', comment: 'Adjustment not found' });
+        const reason = req.body?.reason;
+        if (typeof reason !== 'string' || !reason.trim()) return fail(res, 'A reason is required to remove an adjustment');
+
+        try {
+            store.delete('adjustments', removed.id);
+            invalidate(removed.contestId);
+            const after = await getScoreBreakdown(removed.contestId, removed.handle);
+            recordAudit(store, {
+                author: req.adminName, action: 'adjustment.remove', contestId: removed.contestId, handle: removed.handle,
+                field: removed.field, before: removed.value, after: after?.[removed.field] ?? null, reason: reason.trim()
+            });
+            res.json({ status: 'OK', result: removed });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ status: 'FAILED', comment: err.message });
+        }
+    });
+
+    return router;
+}
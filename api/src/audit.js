@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+import { normalizeHandle } from './identity.js';
+
+/**
+ * Appends an entry to the store's append-only `audit` collection. `before`/`after` hold the
+ * affected value on either side of the change (a score, a mapped handle, a row count).
+ */
+export function recordAudit(store, { author, action, contestId = null, handle = null, field = null, before = null, after = null, reason = null }) {
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        author,
+        action,
+        contestId,
+        handle,
+        field,
+        before,
+        after,
+        reason
+    };
+    store.set('audit', entry.id, entry);
+    return entry;
+}
+
+// Entries newest first; `handle` matches any spelling of the handle.
+export function listAudit(store, { contestId, handle } = {}) {
+    return store.list('audit')
+        .filter(entry => (!contestId || entry.contestId === contestId) && (!handle || normalizeHandle(entry.handle ?? '') === normalizeHandle(handle)))
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import { join } from 'path';
+import axios from 'axios';
+import crypto from 'crypto';
+
+const API_BASE = 'https://codeforces.com/api';
+// Network failures worth retrying: dropped or refused connections, DNS hiccups and timeouts.
+const TRANSIENT_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'ERR_NETWORK']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Responses for these parameters never change once a contest is finished, so they are kept for the process lifetime.
+const isFinishedStandings = (method, data) => method === 'contest.standings' && data?.status === 'OK' && data.result?.contest?.phase === 'FINISHED';
+
+const isCallLimit = (data) => data?.status === 'FAILED' && /call limit exceeded/i.test(data.comment || '');
+
+// Only 429s, 5xx responses and network errors are retried; anything else fails the call straight away.
+function isTransientError(err) {
+    if (err.response) return err.response.status === 429 || err.response.status >= 500 || isCallLimit(err.response.data);
+    return TRANSIENT_NETWORK_CODES.has(err.code);
+}
+
+function requestKey(method, params) {
+    const query = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+    return query ? `${method}?${query}` : method;
+}
+
+function recordingFile(dir, method, params) {
+    const name = requestKey(method, params).replace(/[^A-Za-z0-9.=_-]+/g, '_');
+    return join(dir, `${name}.json`);
+}
+
+/**
+ * A Codeforces API client shared by everything that talks to Codeforces.
+ *
+ * Requests go through a single queue spaced `minIntervalMs` apart (Codeforces allows one call
+ * every two seconds), identical in-flight requests share one call, and responses that report
+ * "Call limit exceeded" or fail transiently are retried with exponential backoff. Standings of
+ * finished contests are cached in memory.
+ *
+ * `mode` is `live` (default), `record` (live, and every response is written to `recordDir`) or
+ * `replay` (responses are read from `recordDir` and the network is never touched).
+ */
+export function createCodeforcesClient({
+    apiKey,
+    apiSecret,
+    mode = 'live',
+    recordDir,
+    baseUrl = API_BASE,
+    minIntervalMs = 2000,
+    maxRetries = 4,
+    backoffMs = 2000,
+    timeoutMs = 20000
+} = {}) {
+    if (!['live', 'record', 'replay'].includes(mode)) throw new Error(`Unknown Codeforces client mode "${mode}"`);
+    if (mode !== 'live' && !recordDir) throw new Error(`Codeforces ${mode} mode needs a recording directory`);
+    if (mode === 'record') fs.mkdirSync(recordDir, { recursive: true });
+
+    const finishedCache = new Map();
+    const inFlight = new Map();
+    let queue = Promise.resolve();
+    let nextSlot = 0;
+
+    function signedParams(method, params) {
+        if (!apiKey || !apiSecret) return params;
+        const withKey = { ...params, apiKey, time: Math.floor(Date.now() / 1000) };
+        const sorted = Object.keys(withKey).sort().map(key => `${key}=${encodeURIComponent(withKey[key])}`).join('&');
+        const rand = Math.random().toString(36).substring(2, 8);
+        const hash = crypto.createHash('sha512').update(`${rand}/${method}?${sorted}#${apiSecret}`).digest('hex');
+        return { ...withKey, apiSig: `${rand}${hash}` };
+    }
+
+    // Every outgoing request, retries included, waits for its slot in the shared queue.
+    function throttled(task) {
+        const run = queue.then(async () => {
+            const wait = nextSlot - Date.now();
+            if (wait > 0) await sleep(wait);
+            try {
+                return await task();
+            } finally {
+                nextSlot = Date.now() + minIntervalMs;
+            }
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function request(method, params) {
+        for (let attempt = 0; ; attempt++) {
+            let data;
+            try {
+                const query = new URLSearchParams(signedParams(method, params)).toString();
+                ({ data } = await throttled(() => axios.get(`${baseUrl}/${method}?${query}`, { timeout: timeoutMs })));
+            } catch (err) {
+                // Codeforces answers rejected calls (unknown contest, bad key) with an HTTP error and a FAILED body.
+                if (!isTransientError(err) && err.response?.data?.status === 'FAILED') return err.response.data;
+                if (attempt >= maxRetries || !isTransientError(err)) throw err;
+                console.error(`[codeforces] ${method} failed (${err.response?.status || err.message}); retry ${attempt + 1}/${maxRetries}`);
+                await sleep(backoffMs * 2 ** attempt);
+                continue;
+            }
+            if (!isCallLimit(data) || attempt >= maxRetries) return data;
+            console.error(`[codeforces] call limit exceeded for ${method}; retry ${attempt + 1}/${maxRetries}`);
+            await sleep(backoffMs * 2 ** attempt);
+        }
+    }
+
+    function replay(method, params) {
+        const filePath = recordingFile(recordDir, method, params);
+        if (!fs.existsSync(filePath)) throw new Error(`No recorded Codeforces response for ${requestKey(method, params)} (expected ${filePath})`);
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+
+    function record(method, params, data) {
+        const filePath = recordingFile(recordDir, method, params);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    /** Calls `method` with `params` and resolves with the raw `{ status, result | comment }` body. */
+    async function call(method, params = {}) {
+        const key = requestKey(method, params);
+        if (finishedCache.has(key)) return finishedCache.get(key);
+        if (mode === 'replay') return replay(method, params);
+        if (inFlight.has(key)) return inFlight.get(key);
+
+        const pending = request(method, params)
+            .then(data => {
+                if (mode === 'record' && data?.status === 'OK') record(method, params, data);
+                if (isFinishedStandings(method, data)) finishedCache.set(key, data);
+                return data;
+            })
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, pending);
+        return pending;
+    }
+
+    return {
+        call,
+        fetchStandings: (params) => call('contest.standings', params)
+    };
+}
@@ -0,0 +1,116 @@
+// Downloadable renderings of a cumulative leaderboard, for announcements and certificates.
+
+export const EXPORT_FORMATS = ['csv', 'json', 'html'];
+
+const CONTEST_FIELDS = [
+    ['rank', 'Rank'],
+    ['baseScore', 'Base'],
+    ['firstAcBonus', 'First AC'],
+    ['streak', 'Streak'],
+    ['streakBonus', 'Streak bonus'],
+    ['score', 'Score']
+];
+
+const round = (value) => (typeof value === 'number' ? +value.toFixed(2) : value);
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+/** One row per trainer, with rank, base, first-AC, streak, streak bonus and score columns for every contest. */
+export function leaderboardToCsv(leaderboard, contests) {
+    const header = ['Rank', 'Trainer', 'Display name', 'Total score', 'Contests attended'];
+    for (const contest of contests) for (const [, label] of CONTEST_FIELDS) header.push(`${contest.name} ${label}`);
+
+    const lines = [header.map(csvCell).join(',')];
+    for (const row of leaderboard) {
+        const cells = [row.rank, row.handle, row.displayName || row.handle, round(row.score), Object.keys(row.contests).length];
+        for (const contest of contests) {
+            const entry = row.contests[contest.id];
+            for (const [field] of CONTEST_FIELDS) cells.push(entry ? round(entry[field]) : '');
+        }
+        lines.push(cells.map(csvCell).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+export function leaderboardToJson({ title, leaderboard, contests, generatedAt }) {
+    return JSON.stringify({ title, generatedAt, contests, leaderboard }, null, 2);
+}
+
+/** A standalone, print-friendly page: a podium for the top three, then the full breakdown table. */
+export function leaderboardToHtml({ title, leaderboard, contests, generatedAt }) {
+    const podium = leaderboard.slice(0, 3).map((row, index) => `
+        <div class="place place-${index + 1}">
+            <div class="medal">#${row.rank}</div>
+            <div class="name">${escapeHtml(row.displayName || row.handle)}</div>
+            <div class="score">${round(row.score)} pts</div>
+        </div>`).join('');
+    const contestHeaders = contests.map(contest => `<th>${escapeHtml(contest.name)}</th>`).join('');
+    const body = leaderboard.map(row => {
+        const cells = contests.map(contest => {
+            const entry = row.contests[contest.id];
+            if (!entry) return '<td class="missed">—</td>';
+            return `<td><strong>${round(entry.score)}</strong><br><small>#${entry.rank ?? '–'} · (${round(entry.baseScore)} + ${round(entry.firstAcBonus)}) + ${round(entry.streakBonus)} streak ×${entry.streak}</small></td>`;
+        }).join('');
+        return `<tr><td>${row.rank}</td><td>${escapeHtml(row.displayName || row.handle)}</td><td><strong>${round(row.score)}</strong></td>${cells}</tr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+    h1 { margin-bottom: 0; }
+    .generated { color: #6b7280; margin-top: 0.25rem; }
+    .podium { display: flex; justify-content: center; align-items: flex-end; gap: 1rem; margin: 2rem 0; }
+    .place { text-align: center; border: 2px solid #d1d5db; border-radius: 0.75rem; padding: 1rem; width: 12rem; }
+    .place-1 { order: 2; border-color: #f59e0b; padding-bottom: 2.5rem; }
+    .place-2 { order: 1; border-color: #9ca3af; padding-bottom: 1.75rem; }
+    .place-3 { order: 3; border-color: #b45309; }
+    .medal { font-size: 1.5rem; font-weight: bold; }
+    .name { font-size: 1.1rem; font-weight: 600; margin: 0.5rem 0; word-break: break-all; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.8rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    small { color: #6b7280; }
+    .missed { color: #9ca3af; }
+    .print { margin-bottom: 1rem; }
+    @media print {
+        .print { display: none; }
+        body { margin: 0; }
+        tr { break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print / Save as PDF</button>
+<h1>${escapeHtml(title)}</h1>
+<p class="generated">Generated ${escapeHtml(generatedAt)}</p>
+<div class="podium">${podium}</div>
+<table>
+<thead><tr><th>Rank</th><th>Trainer</th><th>Total</th>${contestHeaders}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+const CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', json: 'application/json; charset=utf-8', html: 'text/html; charset=utf-8' };
+
+/** Sends the leaderboard as a file; `filename` has no extension. HTML is shown inline so it can be printed. */
+export function sendExport(res, format, { filename, ...report }) {
+    const renderers = { csv: () => leaderboardToCsv(report.leaderboard, report.contests), json: () => leaderboardToJson(report), html: () => leaderboardToHtml(report) };
+    const disposition = format === 'html' ? 'inline' : 'attachment';
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `${disposition}; filename="${filename}.${format}"`);
+    res.send(renderers[format]());
+}
@@ -0,0 +1,156 @@
+// ICPC-style scoreboard freeze: the public standings of a live contest stop changing a set time before
+// the end, and after the contest an admin reveals the hidden results one trainer at a time.
+
+const LIVE_PHASES = ['CODING', 'PENDING_SYSTEM_TEST', 'SYSTEM_TEST'];
+
+const handleOf = (row) => row.party.members[0].handle;
+const solvedCount = (row) => row.problemResults.filter(pr => pr.points > 0).length;
+const sameResult = (a, b) => a.points === b.points && a.penalty === b.penalty;
+// Rejected attempts leave points and penalty alone, so they are compared problem by problem.
+const submittedSince = (frozen, live) => !frozen || !sameResult(frozen, live)
+    || live.problemResults.some((pr, index) => (pr.rejectedAttemptCount ?? 0) !== (frozen.problemResults[index]?.rejectedAttemptCount ?? 0));
+
+export const canFreeze = (standings) => LIVE_PHASES.includes(standings.contest.phase);
+
+/**
+ * When the scoreboard freezes, in ms: `"freeze": { "minutesBeforeEnd": 60 }` in the contest config,
+ * counted back from `startTimeSeconds + durationSeconds`. Null when the config or schedule is missing.
+ */
+export function freezeTime(config, contest) {
+    const minutes = config?.freeze?.minutesBeforeEnd;
+    if (typeof minutes !== 'number' || !(minutes >= 0) || !contest?.startTimeSeconds || !contest.durationSeconds) return null;
+    return (contest.startTimeSeconds + contest.durationSeconds - minutes * 60) * 1000;
+}
+
+export function shouldFreeze(config, standings, now = Date.now()) {
+    const at = freezeTime(config, standings.contest);
+    return at !== null && now >= at && canFreeze(standings);
+}
+
+/**
+ * Saves the standings as they are now in the store's `freezes` collection, keyed by contest id.
+ * `revealed` lists the trainers whose current results replace their frozen ones, in reveal order.
+ */
+export function freezeStandings(store, contestId, standings, author) {
+    const state = {
+        contestId,
+        frozenAt: new Date().toISOString(),
+        frozenBy: author,
+        standings: JSON.parse(JSON.stringify(standings)),
+        revealed: [],
+        completedAt: null
+    };
+    store.set('freezes', contestId, state);
+    return state;
+}
+
+/**
+ * Lifts a freeze. The contest keeps a `{ contestId, unfrozenAt, unfrozenBy }` marker in place of
+ * the freeze, so the scheduled freeze does not take it again on the next fetch.
+ */
+export function unfreezeStandings(store, contestId, author) {
+    const marker = { contestId, unfrozenAt: new Date().toISOString(), unfrozenBy: author };
+    store.set('freezes', contestId, marker);
+    return marker;
+}
+
+// The stored freeze of a contest, or null when it was never frozen or an admin lifted the freeze.
+export function activeFreeze(store, contestId) {
+    const state = store.get('freezes', contestId);
+    return state?.standings ? state : null;
+}
+
+// Codeforces order: more points first, then less penalty; level rows share a rank.
+function rerank(rows) {
+    const sorted = [...rows].sort((a, b) => b.points - a.points || a.penalty - b.penalty);
+    let rank = 0;
+    return sorted.map((row, index) => {
+        if (index === 0 || !sameResult(sorted[index - 1], row)) rank = index + 1;
+        return { ...row, rank };
+    });
+}
+
+/**
+ * The standings the public sees for a frozen contest: frozen rows, with the trainers revealed so far
+ * showing their `live` results. The contest keeps its frozen phase until every result is revealed,
+ * so nothing downstream treats the partial standings as final.
+ */
+export function frozenView(state, live) {
+    if (state.completedAt) return live;
+    const revealed = new Set(state.revealed);
+    const current = new Map(live.rows.map(row => [handleOf(row), row]));
+    const rows = state.standings.rows.filter(row => !revealed.has(handleOf(row)));
+    for (const handle of state.revealed) {
+        if (current.has(handle)) rows.push(current.get(handle));
+    }
+    return { ...state.standings, rows: rerank(rows) };
+}
+
+// Trainers still to reveal, next first: anyone who first appeared after the freeze (worst final
+// rank first), then the frozen rows from the bottom of the board up.
+function pendingHandles(state, live) {
+    const revealed = new Set(state.revealed);
+    const frozen = new Set(state.standings.rows.map(handleOf));
+    const newcomers = live.rows.filter(row => !frozen.has(handleOf(row)) && !revealed.has(handleOf(row)))
+        .sort((a, b) => b.rank - a.rank)
+        .map(handleOf);
+    const hidden = frozenView(state, live).rows.filter(row => !revealed.has(handleOf(row))).map(handleOf).reverse();
+    return [...newcomers, ...hidden];
+}
+
+/**
+ * Trainers with submissions since the freeze whose results are not revealed yet, in live order:
+ * anyone whose row changed, rejected attempts included, or who first appeared after the freeze.
+ */
+export function pendingTrainers(state, live) {
+    if (!state?.standings || state.completedAt) return [];
+    const revealed = new Set(state.revealed);
+    const frozen = new Map(state.standings.rows.map(row => [handleOf(row), row]));
+    return live.rows.filter(row => !revealed.has(handleOf(row)) && submittedSince(frozen.get(handleOf(row)), row)).map(handleOf);
+}
+
+/**
+ * Reveals the next trainer whose result changed since the freeze, passing over unchanged ones on the
+ * way, or every remaining trainer with `all`. Returns the new state and the visible steps:
+ * `[{ handle, fromRank, toRank, before: { points, penalty, solved }, after }]`, `fromRank` null for newcomers.
+ */
+export function revealResults(state, live, { all = false } = {}) {
+    const current = new Map(live.rows.map(row => [handleOf(row), row]));
+    let next = { ...state, revealed: [...state.revealed] };
+    const steps = [];
+    for (const handle of pendingHandles(state, live)) {
+        const before = frozenView(next, live).rows.find(row => handleOf(row) === handle);
+        next.revealed.push(handle);
+        const after = frozenView(next, live).rows.find(row => handleOf(row) === handle);
+        if (before && after && sameResult(before, after)) continue;
+        steps.push({
+            handle,
+            fromRank: before?.rank ?? null,
+            toRank: after?.rank ?? null,
+            before: before ? { points: before.points, penalty: before.penalty, solved: solvedCount(before) } : null,
+            after: after ? { points: after.points, penalty: after.penalty, solved: solvedCount(after) } : null
+        });
+        if (!all) break;
+    }
+    if (pendingHandles(next, live).length === 0) next = { ...next, completedAt: new Date().toISOString() };
+    return { state: next, steps, pending: pendingHandles(next, live).length };
+}
+
+// What clients are told about a contest's freeze; null when it is neither scheduled nor frozen.
+// `state` is the stored freeze, or an unfreeze marker. `pending` names the trainers with hidden
+// results (see pendingTrainers) and needs the `live` standings.
+export function describeFreeze(state, config, contest, live = null) {
+    const freezeAt = freezeTime(config, state?.standings?.contest || contest);
+    if (!state?.standings) {
+        if (freezeAt === null && !state) return null;
+        return { freezeAt: freezeAt === null ? null : new Date(freezeAt).toISOString(), frozen: false, unfrozenAt: state?.unfrozenAt ?? null };
+    }
+    return {
+        freezeAt: freezeAt === null ? null : new Date(freezeAt).toISOString(),
+        frozen: !state.completedAt,
+        frozenAt: state.frozenAt,
+        revealed: state.revealed,
+        pending: live ? pendingTrainers(state, live) : [],
+        completedAt: state.completedAt
+    };
+}
@@ -0,0 +1,75 @@
+import fs from 'fs';
+
+export const GROUP_TYPES = ['batch', 'branch', 'team'];
+
+// College roll-number handles (`pr23csb0a22`) carry the joining year and branch: initials, yy, branch, `b`, roll.
+const ROLL_NUMBER = /^[a-z]{2}(\d{2})([a-z]{2})b[0-9a-z]{4}$/i;
+
+/**
+ * `groups.txt` holds one `handle,batch,branch,team` line per trainer, after a header line; blank
+ * lines and `#` comments are skipped. Empty fields are allowed; batch and branch fall back to what
+ * the handle itself encodes.
+ */
+export function readGroups(filePath) {
+    const groups = {};
+    if (!fs.existsSync(filePath)) return groups;
+    const lines = fs.readFileSync(filePath, 'utf-8').replace(/\r/g, '').split('\n')
+        .filter(line => line.trim() && !line.trimStart().startsWith('#'))
+        .slice(1);
+    lines.forEach(line => {
+        const [handle, batch, branch, team] = line.split(',').map(field => field?.trim() || null);
+        if (handle) groups[handle.toLowerCase()] = { batch, branch, team };
+    });
+    return groups;
+}
+
+export function groupOf(groups, handle, type) {
+    const explicit = groups[handle.toLowerCase()]?.[type];
+    if (explicit) return explicit;
+    const match = handle.match(ROLL_NUMBER);
+    if (!match) return null;
+    if (type === 'batch') return `20${match[1]}`;
+    if (type === 'branch') return match[2].toUpperCase();
+    return null;
+}
+
+/**
+ * Rolls a cumulative leaderboard up into one row per group. `sum` adds every member's score;
+ * `topk` averages the best `k` members (missing places count as zero), so large groups cannot win on headcount alone.
+ */
+export function aggregateGroups(leaderboard, groups, type, { method = 'sum', k = 3 } = {}) {
+    const members = new Map();
+    let ungrouped = 0;
+    for (const row of leaderboard) {
+        const group = groupOf(groups, row.handle, type);
+        if (!group) {
+            ungrouped++;
+            continue;
+        }
+        if (!members.has(group)) members.set(group, []);
+        members.get(group).push({ handle: row.handle, score: row.score });
+    }
+
+    const rows = Array.from(members.entries()).map(([group, list]) => {
+        list.sort((a, b) => b.score - a.score);
+        const counted = method === 'topk' ? list.slice(0, k) : list;
+        const total = counted.reduce((sum, member) => sum + member.score, 0);
+        return {
+            group,
+            score: method === 'topk' ? total / k : total,
+            memberCount: list.length,
+            members: list,
+            counted: counted.map(member => member.handle)
+        };
+    }).sort((a, b) => b.score - a.score || a.group.localeCompare(b.group));
+
+    let rank = 0, lastScore = null;
+    rows.forEach((row, index) => {
+        if (row.score !== lastScore) {
+            rank = index + 1;
+            lastScore = row.score;
+        }
+        row.rank = rank;
+    });
+    return { rows, ungrouped };
+}
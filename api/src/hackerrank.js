@@ -0,0 +1,149 @@
+// Importer for full HackerRank leaderboard exports (score, time and per-challenge results).
+//
+// JSON: the shape returned by HackerRank's `/rest/contests/<slug>/leaderboard`, optionally with
+// a top-level `challenges` list carrying `max_score`:
+//   { "challenges": [{ "slug", "name", "max_score" }],
+//     "models": [{ "rank", "hacker", "score", "time_taken", "challenges": [{ "slug", "score", "time_taken" }] }] }
+//
+// CSV: `rank,username,score,time` followed by a `<slug>:score,<slug>:time` column pair per challenge.
+// Times are seconds from the contest start or `HH:MM:SS`.
+
+const FIXED_CSV_COLUMNS = ['rank', 'username', 'score', 'time'];
+
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ',') { cells.push(cell); cell = ''; }
+        else cell += ch;
+    }
+    cells.push(cell);
+    return cells.map(c => c.trim());
+}
+
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+    if (value.includes(':')) {
+        const parts = value.split(':').map(Number);
+        if (parts.some(Number.isNaN)) return NaN;
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+    return Number(value);
+}
+
+export function isFullHackerRankCsv(content) {
+    const header = splitCsvLine(content.replace(/\r/g, '').split('\n')[0].toLowerCase());
+    return header.length > 2;
+}
+
+function parseCsvExport(content, filename) {
+    const lines = content.replace(/\r/g, '').split('\n');
+    const header = splitCsvLine(lines[0]);
+    if (FIXED_CSV_COLUMNS.some((col, i) => (header[i] || '').toLowerCase() !== col)) {
+        throw new Error(`${filename}: expected header to start with "${FIXED_CSV_COLUMNS.join(',')}", got "${lines[0].trim()}"`);
+    }
+    const challengeColumns = header.slice(FIXED_CSV_COLUMNS.length);
+    const challenges = [];
+    for (let i = 0; i < challengeColumns.length; i += 2) {
+        const [slug, scoreSuffix] = challengeColumns[i].split(':');
+        const [timeSlug, timeSuffix] = (challengeColumns[i + 1] || '').split(':');
+        if (scoreSuffix !== 'score' || timeSlug !== slug || timeSuffix !== 'time') {
+            throw new Error(`${filename}: expected "${slug}:score,${slug}:time" challenge columns, got "${challengeColumns.slice(i, i + 2).join(',')}"`);
+        }
+        challenges.push({ slug, name: slug });
+    }
+
+    const entries = [];
+    const errors = [];
+    lines.slice(1).forEach((line, i) => {
+        const lineNumber = i + 2;
+        if (!line.trim()) return;
+        const cells = splitCsvLine(line);
+        if (cells.length !== header.length) {
+            errors.push({ line: lineNumber, message: `expected ${header.length} columns, got ${cells.length}` });
+            return;
+        }
+        const [rankCol, username, scoreCol, timeCol] = cells;
+        const rank = Number(rankCol);
+        const score = Number(scoreCol || 0);
+        const time = parseTime(timeCol);
+        if (!Number.isInteger(rank) || rank < 1) errors.push({ line: lineNumber, message: `invalid rank "${rankCol}"` });
+        else if (!username) errors.push({ line: lineNumber, message: 'missing username' });
+        else if (Number.isNaN(score) || Number.isNaN(time)) errors.push({ line: lineNumber, message: 'invalid score or time' });
+        else {
+            const results = challenges.map((_, c) => ({
+                score: Number(cells[FIXED_CSV_COLUMNS.length + c * 2] || 0),
+                time: parseTime(cells[FIXED_CSV_COLUMNS.length + c * 2 + 1])
+            }));
+            entries.push({ rank, username, score, time: time ?? 0, results });
+        }
+    });
+    return { challenges, entries, errors };
+}
+
+function parseJsonExport(content, filename) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (err) {
+        throw new Error(`${filename}: invalid JSON (${err.message})`);
+    }
+    const models = Array.isArray(data) ? data : data.models;
+    if (!Array.isArray(models)) throw new Error(`${filename}: expected a "models" array`);
+
+    const challenges = (data.challenges || []).map(ch => ({ slug: ch.slug, name: ch.name || ch.slug, maxScore: ch.max_score }));
+    for (const model of models) {
+        for (const ch of model.challenges || []) {
+            if (!challenges.some(known => known.slug === ch.slug)) challenges.push({ slug: ch.slug, name: ch.name || ch.slug });
+        }
+    }
+
+    const entries = [];
+    const errors = [];
+    models.forEach((model, i) => {
+        const username = model.hacker || model.username;
+        const rank = Number(model.rank);
+        if (!Number.isInteger(rank) || rank < 1) errors.push({ line: i + 1, message: `invalid rank "${model.rank}"` });
+        else if (!username) errors.push({ line: i + 1, message: 'missing hacker' });
+        else {
+            const results = challenges.map(ch => {
+                const result = (model.challenges || []).find(r => r.slug === ch.slug);
+                return result ? { score: Number(result.score || 0), time: parseTime(result.time_taken) } : { score: 0, time: null };
+            });
+            entries.push({ rank, username, score: Number(model.score || 0), time: parseTime(model.time_taken) ?? 0, results });
+        }
+    });
+    return { challenges, entries, errors };
+}
+
+/**
+ * Converts a HackerRank export into `problems` and per-row `problemResults` in Codeforces'
+ * shape. Only full-score solves get a `bestSubmissionTimeSeconds`, so partial credit never
+ * counts as a first AC. `errors` lists skipped rows (CSV line or JSON model number).
+ */
+export function parseHackerRankExport(content, { format, filename = 'hackerrank export' } = {}) {
+    const parse = format === 'json' ? parseJsonExport : parseCsvExport;
+    const { challenges, entries, errors } = parse(content, filename);
+    const maxScores = challenges.map((ch, c) => ch.maxScore ?? Math.max(0, ...entries.map(e => e.results[c].score)));
+
+    const problems = challenges.map((ch, c) => ({ index: String.fromCharCode(65 + c), name: ch.name, slug: ch.slug, maxScore: maxScores[c] }));
+    const rows = entries.map(entry => ({
+        rank: entry.rank,
+        username: entry.username,
+        points: entry.score,
+        penalty: entry.time,
+        problemResults: entry.results.map((result, c) => {
+            const solved = result.score > 0 && result.score >= maxScores[c] && result.time !== null;
+            return solved ? { points: result.score, bestSubmissionTimeSeconds: result.time } : { points: result.score };
+        })
+    }));
+    return { problems, rows, errors };
+}
@@ -0,0 +1,110 @@
+import { readMapping } from './mapping.js';
+
+export const PLATFORMS = ['codeforces', 'hackerrank'];
+
+// Handles are compared case-insensitively and with runs of whitespace collapsed (HackerRank allows `all about fact`).
+export const normalizeHandle = (handle) => String(handle).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const emptyHandles = () => Object.fromEntries(PLATFORMS.map(platform => [platform, []]));
+
+/**
+ * Builds the `identities` collection once from the legacy `hr → cf` mapping in `mapping.txt`.
+ * Each Codeforces handle becomes an identity whose canonical ID is that handle, so existing
+ * scores, adjustments and configs keep matching. Returns true when it seeded, so standings
+ * resolved under the old mapping can be dropped.
+ */
+export function seedIdentities(store, mappingFile) {
+    if (store.get('meta', 'identitiesSeeded')) return false;
+    for (const [hr, cf] of Object.entries(readMapping(mappingFile))) {
+        const identity = store.get('identities', cf) || { id: cf, displayName: cf, handles: { ...emptyHandles(), codeforces: [cf] } };
+        if (!identity.handles.hackerrank.includes(hr)) identity.handles.hackerrank.push(hr);
+        store.set('identities', cf, identity);
+    }
+    store.set('meta', 'identitiesSeeded', true);
+    return true;
+}
+
+/**
+ * Lookups over the store's `identities` collection: `{ id, displayName, handles: { codeforces: [], hackerrank: [] } }`.
+ * The ID is what leaderboards, adjustments and contest configs refer to a trainer by.
+ */
+export function createIdentityRegistry(store) {
+    function index() {
+        const byHandle = Object.fromEntries(PLATFORMS.map(platform => [platform, new Map()]));
+        const byAnyName = new Map();
+        const add = (map, key, id) => {
+            if (!map.has(key)) map.set(key, new Set());
+            map.get(key).add(id);
+        };
+        for (const identity of store.list('identities')) {
+            add(byAnyName, normalizeHandle(identity.id), identity.id);
+            for (const platform of PLATFORMS) {
+                for (const handle of identity.handles[platform] || []) {
+                    add(byHandle[platform], normalizeHandle(handle), identity.id);
+                    add(byAnyName, normalizeHandle(handle), identity.id);
+                }
+            }
+        }
+        return { byHandle, byAnyName };
+    }
+
+    /**
+     * Resolves a handle seen on `platform` to an identity. `status` is `linked` (the handle is
+     * registered for that platform), `inferred` (it only matches an ID or another platform's handle
+     * case-insensitively), `ambiguous` (several identities match; the raw handle is kept) or
+     * `unmatched` (no identity; the raw handle is used as the ID).
+     */
+    function resolve(handle, platform, { byHandle, byAnyName } = index()) {
+        const raw = String(handle).trim();
+        const key = normalizeHandle(raw);
+        for (const [status, matches] of [['linked', byHandle[platform]?.get(key)], ['inferred', byAnyName.get(key)]]) {
+            if (!matches) continue;
+            if (matches.size === 1) return { id: [...matches][0], status, candidates: [...matches] };
+            return { id: raw, status: 'ambiguous', candidates: [...matches].sort() };
+        }
+        return { id: raw, status: 'unmatched', candidates: [] };
+    }
+
+    // Returns the identity already claiming one of `handles`, other than `id` itself.
+    function conflict(id, handles) {
+        const { byHandle } = index();
+        for (const platform of PLATFORMS) {
+            for (const handle of handles[platform] || []) {
+                const owner = [...(byHandle[platform].get(normalizeHandle(handle)) || [])].find(other => other !== id);
+                if (owner) return { platform, handle, owner };
+            }
+        }
+        return null;
+    }
+
+    return {
+        resolve,
+        // A resolve function over a fixed view of the registry, for resolving a whole leaderboard at once.
+        resolver() {
+            const snapshot = index();
+            return (handle, platform) => resolve(handle, platform, snapshot);
+        },
+        conflict,
+        get: (id) => store.get('identities', id) || null,
+        list: () => store.list('identities').sort((a, b) => a.id.localeCompare(b.id)),
+        displayName: (id) => store.get('identities', id)?.displayName || id
+    };
+}
+
+/**
+ * Returns a function that rewrites a scored copy of standings so handles differing only in case
+ * (`Pranavkrizz.10` / `pranavkrizz.10`) use the spelling seen first, across every contest it is given.
+ */
+export function handleCaseUnifier() {
+    const spellings = new Map();
+    return (standings) => {
+        for (const row of standings.rows) {
+            for (const m of row.party.members) {
+                const key = normalizeHandle(m.handle);
+                if (!spellings.has(key)) spellings.set(key, m.handle);
+                else if (spellings.get(key) !== m.handle) m.handle = spellings.get(key);
+            }
+        }
+        return standings;
+    };
+}
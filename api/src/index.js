@@ -1,21 +1,33 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
-import crypto from 'crypto';
 import { WebSocketServer } from 'ws';
-import fs from 'fs';
-import path from 'path';
+import { loadContestConfigs, resolveRules } from './rules.js';
+import { calculateScoresAndStreaks, scoreSeries } from './scoring.js';
+import { loadStandings, sourcePlatform } from './sources.js';
+import { createAdminRouter } from './admin.js';
+import { createFileStore } from './storage.js';
+import { listAudit, recordAudit } from './audit.js';
+import { diffLeaderboards } from './series.js';
+import { explainOrder, comparisonContext } from './ranking.js';
+import { createCodeforcesClient } from './codeforces.js';
+import { loadSeasons, currentSeason, describeSeason } from './seasons.js';
+import { GROUP_TYPES, readGroups, aggregateGroups } from './groups.js';
+import { EXPORT_FORMATS, sendExport } from './export.js';
+import { parseLeaderboardQuery, queryLeaderboard } from './query.js';
+import { seasonSnapshots, dropSnapshots, compareSnapshots, describeSnapshot } from './snapshots.js';
+import { parseSimulation, compareLeaderboards } from './simulate.js';
+import { loadAchievements, awardBadges, describeAchievement } from './achievements.js';
+import { shouldFreeze, freezeStandings, frozenView, describeFreeze, activeFreeze } from './freeze.js';
+import { contestStats, participationTrends } from './stats.js';
+import { describeContest } from './metadata.js';
+import { seedIdentities, createIdentityRegistry, normalizeHandle } from './identity.js';
 
 const app = express();
 const PORT = process.env.PORT || 8787;
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
 const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || '30000', 10);
 
-const CF_API_KEY = process.env.CF_API_KEY;
-const CF_API_SECRET = process.env.CF_API_SECRET;
-
-const userContestHistory = new Map();
 const contestCache = new Map();
 
 import { fileURLToPath } from 'url';
@@ -24,447 +36,633 @@ import { dirname, join } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const parseTxt = (filename) => {
-    const filePath = join(__dirname, filename);
-    if (!fs.existsSync(filePath)) {
-        console.error(`File not found: ${filePath}`);
-        return [];
-    }
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const lines = content.trim().split('\n').slice(1);
-    return lines.map(line => {
-        const [rank, username] = line.split(',');
-        return { rank: parseInt(rank, 10), username: username.trim() };
-    });
-};
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, '..', 'data');
+const store = createFileStore(DATA_DIR);
+if (seedIdentities(store, join(__dirname, 'mapping.txt'))) store.clear('standings');
+const identities = createIdentityRegistry(store);
+
+// CF_MODE=record saves every Codeforces response under CF_RECORD_DIR; CF_MODE=replay serves them back offline.
+const codeforces = createCodeforcesClient({
+    apiKey: process.env.CF_API_KEY,
+    apiSecret: process.env.CF_API_SECRET,
+    mode: process.env.CF_MODE || 'live',
+    recordDir: process.env.CF_RECORD_DIR || join(__dirname, '..', 'test', 'fixtures', 'codeforces')
+});
 
-const codemon1Leaderboard = parseTxt('leaderboard-codemon1.txt');
-const codemon2Leaderboard = parseTxt('leaderboard-codemon2.txt');
-const codemon3Leaderboard = parseTxt('leaderboard-codemon3.txt');
-const codemon4Leaderboard = parseTxt('leaderboard-codemon4.txt');
-const codemon5Leaderboard = parseTxt('leaderboard-codemon5.txt');
-const codemon6Leaderboard = parseTxt('leaderboard-codemon6.txt');
-
-const parseMapping = () => {
-    const filePath = path.join(__dirname, 'mapping.txt');
-    if (!fs.existsSync(filePath)) {
-        console.error(`Mapping file not found: ${filePath}`);
-        return {};
-    }
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const lines = content.trim().split('\n').slice(1);
-    const mapping = {};
-    lines.forEach(line => {
-        const [cf, hr] = line.split(',');
-        if (cf && hr) {
-            mapping[hr.trim()] = cf.trim();
-        }
-    });
-    return mapping;
+// Contest configs checked into `contests/` are the baseline; configs saved through the admin API override them.
+const fileContestConfigs = loadContestConfigs(join(__dirname, 'contests'));
+const getContestConfig = (contestId) => store.get('contests', contestId) || fileContestConfigs.get(contestId);
+const listContestConfigs = () => {
+    const ids = new Set([...fileContestConfigs.keys(), ...store.entries('contests').map(([id]) => id)]);
+    return Array.from(ids).map(getContestConfig);
 };
-
-const invertedUsernameMapping = parseMapping();
+const seasons = loadSeasons(join(__dirname, 'seasons'));
+const seasonsIncluding = (contestId) => Array.from(seasons.values()).filter(season => season.contestIds.includes(contestId));
+const groups = readGroups(join(__dirname, 'groups.txt'));
+const achievements = loadAchievements(join(__dirname, 'achievements.json'));
+const getAdjustments = (contestId) => store.list('adjustments').filter(a => a.contestId === contestId);
+
+function invalidateContest(contestId) {
+    if (contestId) {
+        contestCache.delete(contestId);
+        store.delete('standings', contestId);
+    } else {
+        contestCache.clear();
+        store.clear('standings');
+    }
+    dropSnapshots(store, seasons.values(), contestId);
+}
 
 app.use(cors());
 app.use(express.json());
 app.use(express.static('src'));
+app.use('/api/admin', createAdminRouter({ store, identities, getContestConfig, listContestConfigs, invalidate: invalidateContest, getScoreBreakdown, getIdentityReport, getRawStandings, publishScoreboard }));
 
-function calculateScoresAndStreaks(standingsData, contestId, userHistory) {
-    if (!standingsData || !standingsData.rows) return standingsData;
-
-    const firstAcByProblem = new Map();
-    if (standingsData.problems) {
-        standingsData.problems.forEach((_, index) => {
-            let firstAc = { handle: null, time: Infinity };
-            for (const row of standingsData.rows) {
-                const pr = row.problemResults[index];
-                if (pr && pr.points > 0 && pr.bestSubmissionTimeSeconds < firstAc.time) {
-                    firstAc = { time: pr.bestSubmissionTimeSeconds, handle: row.party.members[0].handle };
-                }
-            }
-            if (firstAc.handle) firstAcByProblem.set(index, firstAc);
-        });
+// File-imported standings carry no phase and are always complete.
+const isRunning = (standings) => Boolean(standings.contest.phase) && standings.contest.phase !== 'FINISHED';
+
+// Snapshots of finished contests are served from the store, so a restart does not refetch them.
+async function getRawStandings(contestId) {
+    if (contestCache.has(contestId)) return contestCache.get(contestId);
+
+    const snapshot = store.get('standings', contestId);
+    if (snapshot?.final) {
+        contestCache.set(contestId, snapshot.standings);
+        return snapshot.standings;
     }
 
-    const contestParticipants = new Set();
-    const scoredRows = standingsData.rows.map(row => {
-        const handle = row.party.members[0].handle;
-        contestParticipants.add(handle);
-
-        let baseScore = 0;
-        let firstAcBonus = 0;
-
-        if (contestId === '631208') { // Codemon 2 (HR)
-            // Participation: 5 points for everyone
-            baseScore = 5;
-        } else if (contestId === '631207') { // Codemon 1 (CF)
-            if (row.rank <= 30) baseScore = 31 - row.rank;
-        } else if (contestId === '631209') { // Codemon 3 (CF)
-            if (row.rank <= 30) baseScore = 31 - row.rank; 
-            const firstAcBonuses = {
-                'rupenderyadav55': 4,
-                'rajzvx': 4,
-                'Alok2122P': 2,
-                'SR_24MM': 2
-            };
-            if (firstAcBonuses[handle]) {
-                firstAcBonus = firstAcBonuses[handle];
-            }
-        } else if (contestId === '631210') { // Codemon 4 (HR)
-            if (row.rank <= 30) baseScore = 31 - row.rank;
-            const firstAcBonuses = {
-                'rajzvx': 4,           // rajbanazvx
-                'SR_24MM': 2,          // mithintisairush1
-                'SamyakJain092006': 2, // samyakjain092006
-                'subhamjyotimaha1': 2  // subhamjyotimaha1
-            };
-            if (firstAcBonuses[handle]) {
-                firstAcBonus = firstAcBonuses[handle];
-            }
-        } else if (contestId === '631211') { // Codemon 5 (HR)
-             if (row.rank <= 30) baseScore = 31 - row.rank;
-             const firstAcBonuses = {
-                'Charan_Harsha': 4,
-                'rupenderyadav55': 2,
-                'ammar_101': 2,
-                'krispatel2702': 2
-             };
-             if (firstAcBonuses[handle]) {
-                firstAcBonus = firstAcBonuses[handle];
-             }
-
-             const manualBaseScores = {
-                 'SiddhantSangaonkar': 14.9,
-                 'SamyakJain092006': 16,
-                 'HailOtg': 22.36
-             };
-             if (manualBaseScores[handle]) {
-                 baseScore = manualBaseScores[handle];
-             }
-
-        } else if (contestId === '631212'){
-            if (row.rank <= 20) baseScore = 31 - row.rank;
-                const firstAcBonuses = {
-                'rupenderyadav55': 4,
-                'AbhinavChalla': 2,
-                'SOHAM_MAHAJAN': 2,
-            };
-            if (firstAcBonuses[handle]) {
-                firstAcBonus = firstAcBonuses[handle];
-            }
-        } else { 
-            if (row.points > 0) {
-                if (row.rank <= 30) baseScore = 31 - row.rank;
-                if (row.problemResults) {
-                    row.problemResults.forEach((pr, index) => {
-                        const firstAc = firstAcByProblem.get(index);
-                        if (pr.points > 0 && firstAc && firstAc.handle === handle && firstAc.time === pr.bestSubmissionTimeSeconds) {
-                            firstAcBonus += 2;
-                        }
-                    });
-                }
-            }
-        }
-        
-        const rawScore = baseScore + firstAcBonus;
-        if (!userHistory.has(handle)) userHistory.set(handle, []);
-        const history = userHistory.get(handle);
-        const existingEntry = history.find(entry => entry.contestId === contestId);
-        if (!existingEntry) {
-            history.push({ contestId, score: rawScore, rank: row.rank });
-        } else {
-            existingEntry.score = rawScore;
-            existingEntry.rank = row.rank;
-        }
-        return { ...row, rawScore, baseScore, firstAcBonus };
+    const standings = await loadStandings(contestId, getContestConfig(contestId), {
+        baseDir: __dirname,
+        resolveHandle: identities.resolver(),
+        readUploaded: (file) => store.get('leaderboards', file)?.content,
+        fetchStandings: codeforces.fetchStandings
     });
+    // A running contest is polled every few seconds; its snapshot is only rewritten when its phase
+    // or rows change, not on every poll.
+    const final = standings.contest.phase === 'FINISHED';
+    const changed = !snapshot || snapshot.standings.contest.phase !== standings.contest.phase
+        || JSON.stringify(snapshot.standings.rows) !== JSON.stringify(standings.rows);
+    if (changed) {
+        store.set('standings', contestId, { final, fetchedAt: new Date().toISOString(), standings });
+    }
+    // Running contests are refetched on every call so live polls see new submissions.
+    if (!isRunning(standings)) contestCache.set(contestId, standings);
+    return standings;
+}
 
-    const finalScoredRows = scoredRows.map(row => {
-        const handle = row.party.members[0].handle;
-        const history = userHistory.get(handle).sort((a, b) => parseInt(a.contestId, 10) - parseInt(b.contestId, 10));
-        let streak = 0;
-        const currentContestIdx = history.findIndex(h => h.contestId === contestId);
-        if (currentContestIdx !== -1) {
-            for (let i = currentContestIdx; i >= 0; i--) {
-                if (history[i].score > 0) streak++;
-                else break;
-            }
-        }
-        let streakMultiplier = 1.0;
-        if (streak >= 4) streakMultiplier = 1.15;
-        else if (streak === 3) streakMultiplier = 1.10;
-        else if (streak === 2) streakMultiplier = 1.05;
-        const streakBonus = row.rawScore * (streakMultiplier - 1);
-        const customScore = row.rawScore * streakMultiplier;
-        return { ...row, customScore, streak, streakBonus };
-    });
+// The standings last loaded for a contest, without fetching them again.
+const latestRawStandings = (contestId) => contestCache.get(contestId) || store.get('standings', contestId)?.standings || null;
+
+// Every public view scores a frozen contest as frozen (see freeze.js). The freeze is taken by the
+// first fetch after the configured freeze time, which for a watched contest is the next live poll,
+// unless an admin already froze or unfroze the contest.
+async function getPublicStandings(contestId) {
+    const standings = await getRawStandings(contestId);
+    let state = activeFreeze(store, contestId);
+    if (!store.has('freezes', contestId) && shouldFreeze(getContestConfig(contestId), standings)) {
+        state = freezeStandings(store, contestId, standings, 'system');
+        recordAudit(store, { author: 'system', action: 'scoreboard.freeze', contestId, field: 'rows', after: standings.rows.length });
+        console.log(`[freeze] froze the scoreboard of contest ${contestId}`);
+    }
+    return state ? frozenView(state, standings) : standings;
+}
 
-    finalScoredRows.sort((a, b) => b.customScore - a.customScore || a.penalty - b.penalty);
-    
-    let currentRank = 0, lastScore = -1, lastPenalty = -1;
-    finalScoredRows.forEach((row, index) => {
-        if (row.customScore !== lastScore || row.penalty !== lastPenalty) {
-            currentRank = index + 1;
-            lastScore = row.customScore;
-            lastPenalty = row.penalty;
-        }
-        row.rank = currentRank;
+// Scores `ids` under the season's rules; `simulation` (see simulate.js) layers alternate rules on top.
+async function computeStandings(ids, season = null, simulation = null) {
+    const rawContests = await Promise.all(ids.map(id => getPublicStandings(id)));
+    const rulesFor = (contestId) => {
+        const rules = resolveRules(getContestConfig(contestId), getAdjustments(contestId), season?.scoring);
+        return simulation ? { ...rules, ...simulation.scoring, ...simulation.contests[contestId] } : rules;
+    };
+    return scoreSeries(ids, rawContests, {
+        rulesFor,
+        position: season ? (id) => season.contestIds.indexOf(String(id)) : undefined,
+        streaks: simulation ? simulation.streaks : season?.streaks,
+        tieBreakers: simulation ? simulation.tieBreakers : season?.tieBreakers,
+        displayName: identities.displayName
     });
-    standingsData.rows = finalScoredRows;
-    for (const [handle, history] of userHistory.entries()) {
-        if (!contestParticipants.has(handle) && !history.find(e => e.contestId === contestId)) {
-            history.push({ contestId, score: 0, rank: null });
-        }
+}
+
+// The cumulative pipeline shared by every leaderboard view: rows carry their badges.
+async function buildCumulativeStandings(ids, season = null) {
+    const result = await computeStandings(ids, season);
+    return { ...result, leaderboard: awardBadges(result.leaderboard, achievements, result) };
+}
+
+const parseContestIds = (contestIds) => contestIds.split(',').map(id => id.trim()).filter(Boolean);
+const defaultContestIds = () => listContestConfigs().map(c => c.id).sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+// A contest with the configured contests before it, so its streaks follow contest order.
+const precedingContestIds = (contestId) => [...defaultContestIds().filter(id => parseInt(id, 10) < parseInt(contestId, 10)), contestId];
+
+// Leaderboard column headers carry each contest's metadata, so the client can show its notes.
+const withMetadata = (contests) => contests.map(contest => {
+    const config = getContestConfig(contest.id);
+    return config ? { ...describeContest(config), ...contest } : contest;
+});
+
+const invalidFormat = (format) => format !== undefined && !EXPORT_FORMATS.includes(format);
+const formatError = { status: 'FAILED', comment: `format must be one of ${EXPORT_FORMATS.join(', ')}` };
+
+// Exports always carry the whole board; search, sort, minContests and page/limit shape JSON responses.
+function leaderboardQuery(req, res, contestIds) {
+    try {
+        return parseLeaderboardQuery(req.query, contestIds);
+    } catch (err) {
+        res.status(400).json({ status: 'FAILED', comment: err.message });
+        return null;
     }
-    return standingsData;
 }
 
-async function getRawStandings(contestId) {
-    if (contestCache.has(contestId)) return contestCache.get(contestId);
+app.get('/api/multiconteststandings', async (req, res) => {
+    const { contestIds, format } = req.query;
+    if (!contestIds) return res.status(400).json({ status: 'FAILED', comment: 'contestIds query parameter is required' });
+    if (invalidFormat(format)) return res.status(400).json(formatError);
+    const ids = parseContestIds(contestIds);
+    const query = leaderboardQuery(req, res, ids);
+    if (!query) return;
 
-    if (contestId === '631207') {
-        const rows = codemon1Leaderboard.map(entry => ({
-            party: { members: [{ handle: entry.username }] },
-            rank: entry.rank,
-            points: entry.rank <= 30 ? 31 - entry.rank : 0, 
-            penalty: 0,
-            problemResults: []
-        }));
-        const fakeStandings = { contest: { id: 631207, name: 'Codemon Contest 1' }, problems: [], rows };
-        contestCache.set(contestId, fakeStandings);
-        return fakeStandings;
+    try {
+        const { leaderboard, contests } = await buildCumulativeStandings(ids);
+        if (format) {
+            return sendExport(res, format, { filename: 'codemon-leaderboard', title: 'Codemon Leaderboard', leaderboard, contests, generatedAt: new Date().toISOString() });
+        }
+        const { rows, pagination } = queryLeaderboard(leaderboard, query);
+        res.json({ status: 'OK', result: { leaderboard: rows, problems: withMetadata(contests), pagination, achievements: achievements.map(describeAchievement) } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'FAILED', comment: err.message });
     }
-    
-    if (contestId === '631208') {
-        const rows = codemon2Leaderboard.map(entry => ({
-            party: { members: [{ handle: invertedUsernameMapping[entry.username] || entry.username }] },
-            rank: entry.rank,
-            points: 5,
-            penalty: 0,
-            problemResults: []
-        }));
-        const fakeStandings = { contest: { id: 631208, name: 'Codemon Contest 2' }, problems: [], rows };
-        contestCache.set(contestId, fakeStandings);
-        return fakeStandings;
+});
+
+app.get('/api/seasons', (req, res) => {
+    const all = Array.from(seasons.values());
+    res.json({ status: 'OK', result: { current: currentSeason(all)?.id || null, seasons: all.map(season => describeSeason(season)) } });
+});
+
+// What a client needs to find its way around on startup: the seasons, which one is current, and every
+// configured contest with the seasons it belongs to.
+app.get('/api/catalog', (req, res) => {
+    const all = Array.from(seasons.values());
+    const contests = listContestConfigs()
+        .sort((a, b) => parseInt(a.id, 10) - parseInt(b.id, 10))
+        .map(config => ({ ...describeContest(config), seasons: seasonsIncluding(config.id).map(season => season.id) }));
+    res.json({ status: 'OK', result: { current: currentSeason(all)?.id || null, seasons: all.map(season => describeSeason(season)), contests } });
+});
+
+app.get('/api/seasons/:id/leaderboard', async (req, res) => {
+    const season = seasons.get(req.params.id);
+    if (!season) return res.status(404).json({ status: 'FAILED', comment: `Unknown season ${req.params.id}` });
+    const { format } = req.query;
+    if (invalidFormat(format)) return res.status(400).json(formatError);
+    const query = leaderboardQuery(req, res, season.contestIds);
+    if (!query) return;
+
+    try {
+        const { leaderboard, contests } = await buildCumulativeStandings(season.contestIds, season);
+        if (format) {
+            return sendExport(res, format, { filename: `${season.id}-leaderboard`, title: `${season.name} Leaderboard`, leaderboard, contests, generatedAt: new Date().toISOString() });
+        }
+        const { rows, pagination } = queryLeaderboard(leaderboard, query);
+        res.json({ status: 'OK', result: { season: describeSeason(season), leaderboard: rows, problems: withMetadata(contests), pagination, achievements: achievements.map(describeAchievement) } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'FAILED', comment: err.message });
     }
-    
-    if (contestId === '631209') {
-        const rows = codemon3Leaderboard.map(entry => ({
-            party: { members: [{ handle: entry.username }] },
-            rank: entry.rank,
-            points: entry.rank <= 30 ? 31 - entry.rank : 0, 
-            penalty: 0,
-            problemResults: []
-        }));
-        const fakeStandings = { contest: { id: 631209, name: 'Codemon Contest 3' }, problems: [], rows };
-        contestCache.set(contestId, fakeStandings);
-        return fakeStandings;
+});
+
+app.get('/api/achievements', (req, res) => {
+    res.json({ status: 'OK', result: achievements.map(describeAchievement) });
+});
+
+app.get('/api/seasons/:id/snapshots', async (req, res) => {
+    const season = seasons.get(req.params.id);
+    if (!season) return res.status(404).json({ status: 'FAILED', comment: `Unknown season ${req.params.id}` });
+
+    try {
+        const snapshots = await seasonSnapshots(store, season, ids => buildCumulativeStandings(ids, season), getContestConfig);
+        res.json({ status: 'OK', result: { season: season.id, snapshots: snapshots.map(describeSnapshot) } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'FAILED', comment: err.message });
     }
+});
 
-    if (contestId === '631210') {
-        const rows = codemon4Leaderboard.map(entry => ({
-            party: { members: [{ handle: invertedUsernameMapping[entry.username] || entry.username }] },
-            rank: entry.rank,
-            points: entry.rank <= 30 ? 31 - entry.rank : 0,
-            penalty: 0,
-            problemResults: []
-        }));
-        const fakeStandings = { contest: { id: 631210, name: 'Codemon Contest 4' }, problems: [], rows };
-        contestCache.set(contestId, fakeStandings);
-        return fakeStandings;
+// Rank and score deltas between two snapshots, named by the contest they were taken after.
+// Defaults to the latest contest against the one before it.
+app.get('/api/seasons/:id/movement', async (req, res) => {
+    const season = seasons.get(req.params.id);
+    if (!season) return res.status(404).json({ status: 'FAILED', comment: `Unknown season ${req.params.id}` });
+    for (const param of ['from', 'to']) {
+        const value = req.query[param];
+        if (value !== undefined && !season.contestIds.includes(value)) {
+            return res.status(400).json({ status: 'FAILED', comment: `${param} must be one of the season's contest ids ${season.contestIds.join(', ')}` });
+        }
     }
+    const top = parseInt(req.query.top || '5', 10);
+    if (!(top > 0)) return res.status(400).json({ status: 'FAILED', comment: 'top must be a positive integer' });
+    if (season.contestIds.length === 0) return res.status(404).json({ status: 'FAILED', comment: `Season ${season.id} has no contests yet` });
 
-    if (contestId === '631211') {
-        const rows = codemon5Leaderboard.map(entry => ({
-            party: { members: [{ handle: invertedUsernameMapping[entry.username] || entry.username }] },
-            rank: entry.rank,
-            points: entry.rank <= 30 ? 31 - entry.rank : 0,
-            penalty: 0,
-            problemResults: []
-        }));
-        rows.push({
-            party: { members: [{ handle: 'SiddhantSangaonkar' }] },
-            rank: 999,
-            points: 0,
-            penalty: 0,
-            problemResults: []
-        });
-        rows.push({
-            party: { members: [{ handle: 'SamyakJain092006' }] },
-            rank: 999,
-            points: 0,
-            penalty: 0,
-            problemResults: []
+    try {
+        const snapshots = await seasonSnapshots(store, season, ids => buildCumulativeStandings(ids, season), getContestConfig);
+        const byContest = (id) => snapshots.find(snapshot => snapshot.contestId === id);
+        const to = req.query.to ? byContest(req.query.to) : snapshots[snapshots.length - 1];
+        const from = req.query.from ? byContest(req.query.from) : snapshots[to.index - 1] || null;
+        const { changes, climbers, dropped } = compareSnapshots(from, to, { top });
+        const named = (change) => ({ ...change, displayName: identities.displayName(change.handle) });
+        res.json({
+            status: 'OK',
+            result: {
+                season: season.id,
+                from: from && describeSnapshot(from),
+                to: describeSnapshot(to),
+                changes: changes.map(named),
+                climbers: climbers.map(named),
+                dropped
+            }
         });
-        rows.push({
-            party: { members: [{ handle: 'HailOtg' }] },
-            rank: 999,
-            points: 0,
-            penalty: 0,
-            problemResults: []
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'FAILED', comment: err.message });
+    }
+});
+
+app.get('/api/contests', (req, res) => {
+    const contests = listContestConfigs().sort((a, b) => parseInt(a.id, 10) - parseInt(b.id, 10));
+    res.json({ status: 'OK', result: contests.map(describeContest) });
+});
+
+app.get('/api/contests/:id', (req, res) => {
+    const config = getContestConfig(req.params.id);
+    if (!config) return res.status(404).json({ status: 'FAILED', comment: `Unknown contest ${req.params.id}` });
+    res.json({ status: 'OK', result: { ...describeContest(config), seasons: seasonsIncluding(config.id).map(season => season.id) } });
+});
+
+// New and returning trainers and retention for each contest of a season.
+app.get('/api/seasons/:id/participation', async (req, res) => {
+    const season = seasons.get(req.params.id);
+    if (!season) return res.status(404).json({ status: 'FAILED', comment: `Unknown season ${req.params.id}` });
+
+    try {
+        const { processedContests, orderedIds } = await buildCumulativeStandings(season.contestIds, season);
+        res.json({ status: 'OK', result: { season: season.id, contests: participationTrends(processedContests, orderedIds) } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'FAILED', comment: err.message });
+    }
+});
+
+// Per-problem and score statistics for one contest, scored within its season (or after the
+// configured contests before it) so scores match the leaderboard. `bin` sets the score histogram width.
+// Like /api/multiconteststandings, a numeric id without a config is fetched from Codeforces.
+app.get('/api/contests/:id/stats', async (req, res) => {
+    const contestId = req.params.id;
+    if (!getContestConfig(contestId) && !/^\d+$/.test(contestId)) return res.status(404).json({ status: 'FAILED', comment: `Unknown contest ${contestId}` });
+    const binSize = Number(req.query.bin || 5);
+    if (!Number.isInteger(binSize) || binSize < 1) return res.status(400).json({ status: 'FAILED', comment: 'bin must be a whole number of at least 1' });
+    const season = seasonsIncluding(contestId)[0] || null;
+    const ids = season ? season.contestIds : precedingContestIds(contestId);
+
+    try {
+        const { processedContests, orderedIds } = await buildCumulativeStandings(ids, season);
+        const participation = participationTrends(processedContests, orderedIds).find(point => point.contestId === contestId);
+        res.json({ status: 'OK', result: { ...contestStats(processedContests[contestId], { binSize }), season: season?.id || null, participation } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'FAILED', comment: err.message });
+    }
+});
+
+// Scores a season (or any contests) under alternate rules without storing anything, next to the current leaderboard.
+app.post('/api/simulate', async (req, res) => {
+    const season = req.body?.season ? seasons.get(String(req.body.season)) : null;
+    if (req.body?.season && !season) return res.status(404).json({ status: 'FAILED', comment: `Unknown season ${req.body.season}` });
+    let simulation;
+    try {
+        simulation = parseSimulation(req.body, season);
+    } catch (err) {
+        return res.status(400).json({ status: 'FAILED', comment: err.message });
+    }
+
+    try {
+        const current = await computeStandings(simulation.contestIds, season);
+        const simulated = await computeStandings(simulation.contestIds, season, simulation);
+        const summary = ({ handle, displayName, rank, score }) => ({ handle, displayName, rank, score });
+        const changes = compareLeaderboards(current.leaderboard, simulated.leaderboard);
+        res.json({
+            status: 'OK',
+            result: {
+                season: season?.id || null,
+                contestIds: simulation.contestIds,
+                problems: simulated.contests,
+                rules: { scoring: simulation.scoring, contests: simulation.contests, streaks: simulation.streaks, tieBreakers: simulation.tieBreakers },
+                current: current.leaderboard.map(summary),
+                simulated: simulated.leaderboard.map(summary),
+                changes,
+                moved: changes.filter(change => change.rankChange !== 0).length
+            }
         });
-        const fakeStandings = { contest: { id: 631211, name: 'Codemon Contest 5' }, problems: [], rows };
-        contestCache.set(contestId, fakeStandings);
-        return fakeStandings;
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'FAILED', comment: err.message });
     }
+});
+
+app.get('/api/groups/:type/leaderboard', async (req, res) => {
+    const { type } = req.params;
+    if (!GROUP_TYPES.includes(type)) return res.status(400).json({ status: 'FAILED', comment: `Group type must be one of ${GROUP_TYPES.join(', ')}` });
+    const method = req.query.aggregate || 'sum';
+    if (!['sum', 'topk'].includes(method)) return res.status(400).json({ status: 'FAILED', comment: 'aggregate must be sum or topk' });
+    const k = parseInt(req.query.k || '3', 10);
+    if (!(k > 0)) return res.status(400).json({ status: 'FAILED', comment: 'k must be a positive integer' });
+    const season = req.query.season ? seasons.get(req.query.season) : currentSeason(Array.from(seasons.values()));
+    if (req.query.season && !season) return res.status(404).json({ status: 'FAILED', comment: `Unknown season ${req.query.season}` });
 
-    if (contestId === '631212') {
-    const rows = codemon6Leaderboard.map(entry => ({
-        party: { members: [{ handle: invertedUsernameMapping[entry.username] || entry.username }] },
-        rank: entry.rank,
-        points: entry.rank <= 30 ? 31 - entry.rank : 0,
-        penalty: 0,
-        problemResults: []
-    }));
-    const fakeStandings = { contest: { id: 631212, name: 'Codemon Contest 6' }, problems: [], rows };
-    contestCache.set(contestId, fakeStandings);
-    return fakeStandings;
+    try {
+        const ids = season ? season.contestIds : defaultContestIds();
+        const { leaderboard } = await buildCumulativeStandings(ids, season);
+        const { rows, ungrouped } = aggregateGroups(leaderboard, groups, type, { method, k });
+        res.json({ status: 'OK', result: { type, aggregate: { method, k }, season: season?.id || null, groups: rows, ungrouped } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'FAILED', comment: err.message });
     }
+});
 
-    const data = await fetchStandings({ contestId, showUnofficial: 'false' });
-    if (data.status === 'OK') {
-        contestCache.set(contestId, data.result);
-        return data.result;
+// Why one trainer is ranked above another: total score, or the tie-breaker that separated them.
+app.get('/api/compare', async (req, res) => {
+    const { a, b } = req.query;
+    if (!a || !b) return res.status(400).json({ status: 'FAILED', comment: 'a and b query parameters are required' });
+    const season = req.query.season ? seasons.get(req.query.season) : currentSeason(Array.from(seasons.values()));
+    if (req.query.season && !season) return res.status(404).json({ status: 'FAILED', comment: `Unknown season ${req.query.season}` });
+
+    try {
+        const { leaderboard, contests, orderedIds } = await buildCumulativeStandings(season ? season.contestIds : defaultContestIds(), season);
+        const find = (handle) => leaderboard.find(row => normalizeHandle(row.handle) === normalizeHandle(handle));
+        const [rowA, rowB] = [find(a), find(b)];
+        if (!rowA || !rowB) return res.status(404).json({ status: 'FAILED', comment: `No trainer named ${rowA ? b : a} in these contests` });
+
+        const ctx = comparisonContext(orderedIds.map(id => contests.find(c => c.id === id)), season?.tieBreakers);
+        const summary = (row) => ({ handle: row.handle, rank: row.rank, score: row.score });
+        res.json({ status: 'OK', result: { a: summary(rowA), b: summary(rowB), tieBreakers: ctx.tieBreakers, ...explainOrder(rowA, rowB, ctx) } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'FAILED', comment: err.message });
     }
-    throw new Error(data.comment || `Failed to fetch standings for contest ${contestId}`);
-}
+});
 
-app.get('/api/multiconteststandings', async (req, res) => {
-    const { contestIds } = req.query;
-    if (!contestIds) return res.status(400).json({ status: 'FAILED', comment: 'contestIds query parameter is required' });
+// Cumulative rank counts trainers with a strictly higher running total, so ties share a rank.
+function cumulativeRank(totals, handle) {
+    const score = totals.get(handle);
+    let rank = 1;
+    for (const other of totals.values()) if (other > score) rank++;
+    return rank;
+}
 
-    const ids = contestIds.split(',').map(id => id.trim());
-    const cumulativeScores = new Map();
+app.get('/api/users/:handle', async (req, res) => {
+    const requested = req.params.handle;
+    const season = req.query.season ? seasons.get(req.query.season) : null;
+    if (req.query.season && !season) return res.status(404).json({ status: 'FAILED', comment: `Unknown season ${req.query.season}` });
+    const ids = season ? season.contestIds : req.query.contestIds ? parseContestIds(req.query.contestIds) : defaultContestIds();
     try {
-        const allRawContestData = await Promise.all(ids.map(id => getRawStandings(id)));
-        allRawContestData.sort((a, b) => parseInt(a.contest.id, 10) - parseInt(b.contest.id, 10));
-        const requestScopedHistory = new Map();
-        const processedContests = {};
-        for (const rawData of allRawContestData) {
-            const contestId = rawData.contest.id.toString();
-            processedContests[contestId] = calculateScoresAndStreaks(JSON.parse(JSON.stringify(rawData)), contestId, requestScopedHistory);
-        }
-        for (const contestId of ids) {
-            const contestData = processedContests[contestId];
-            if (!contestData) continue;
-            for (const row of contestData.rows) {
-                const handle = row.party.members[0].handle;
-                if (!cumulativeScores.has(handle)) cumulativeScores.set(handle, { score: 0, penalty: 0, contests: {} });
-                const userEntry = cumulativeScores.get(handle);
-                userEntry.score += row.customScore;
-                userEntry.penalty += row.penalty;
-                userEntry.contests[contestId] = {
-                    score: row.customScore, rank: row.rank, streak: row.streak,
-                    baseScore: row.baseScore, firstAcBonus: row.firstAcBonus, streakBonus: row.streakBonus,
-                };
+        const { leaderboard, contests, orderedIds } = await buildCumulativeStandings(ids, season);
+        const entry = leaderboard.find(row => normalizeHandle(row.handle) === normalizeHandle(requested));
+        if (!entry) return res.status(404).json({ status: 'FAILED', comment: `No trainer named ${requested} in these contests` });
+        const { handle } = entry;
+
+        const totals = new Map();
+        let previousRank = null;
+        const history = orderedIds.map(contestId => {
+            for (const row of leaderboard) {
+                if (row.contests[contestId]) totals.set(row.handle, (totals.get(row.handle) || 0) + row.contests[contestId].score);
+            }
+            const contest = entry.contests[contestId];
+            const rankAfter = totals.has(handle) ? cumulativeRank(totals, handle) : null;
+            const point = {
+                contestId,
+                name: contests.find(c => c.id === contestId)?.name || `Contest ${contestId}`,
+                participated: Boolean(contest),
+                ...(contest || { score: 0, rank: null, streak: 0, baseScore: 0, firstAcBonus: 0, streakBonus: 0, streakMultiplier: 1 }),
+                cumulativeScore: totals.get(handle) || 0,
+                cumulativeRank: rankAfter,
+                rankChange: previousRank !== null && rankAfter !== null ? previousRank - rankAfter : null
+            };
+            if (rankAfter !== null) previousRank = rankAfter;
+            return point;
+        });
+
+        // Trainers without a registry entry are known only by the handle they competed under.
+        const linkedHandles = identities.get(handle)?.handles || { codeforces: [handle], hackerrank: [] };
+        res.json({
+            status: 'OK',
+            result: {
+                handle,
+                displayName: entry.displayName,
+                linkedHandles,
+                score: entry.score,
+                rank: entry.rank,
+                contestsAttended: Object.keys(entry.contests).length,
+                // Every badge, earned or not, so the profile can show the full case.
+                badges: achievements.map(definition => {
+                    const earned = entry.badges.find(badge => badge.id === definition.id);
+                    return { ...describeAchievement(definition), earned: Boolean(earned), detail: earned?.detail || null };
+                }),
+                history
             }
-        }
-        const leaderboard = Array.from(cumulativeScores.entries()).map(([handle, data]) => ({ handle, ...data })).sort((a, b) => b.score - a.score || a.penalty - b.penalty);
-        const contestDetails = ids.map(id => {
-            const contestData = allRawContestData.find(data => data.contest.id.toString() === id);
-            return { id, name: contestData ? contestData.contest.name : `Contest ${id}` };
         });
-        res.json({ status: 'OK', result: { leaderboard, problems: contestDetails } });
     } catch (err) {
         console.error(err);
         res.status(500).json({ status: 'FAILED', comment: err.message });
     }
 });
 
-function generateApiSig(methodName, params) {
-    const sortedParams = Object.keys(params).sort().map(key => `${key}=${encodeURIComponent(params[key])}`).join('&');
-    const rand = Math.random().toString(36).substring(2, 8);
-    const text = `${rand}/${methodName}?${sortedParams}#${CF_API_SECRET}`;
-    return `${rand}${crypto.createHash('sha512').update(text).digest('hex')}`;
+// Base score and first-AC bonus do not depend on streak history, so one contest can be scored on its own.
+// Scored from the public standings, so the audit log never shows results hidden by a freeze.
+async function scoreContest(contestId) {
+    const rawData = await getPublicStandings(contestId);
+    return calculateScoresAndStreaks(JSON.parse(JSON.stringify(rawData)), contestId, new Map(), { rules: resolveRules(getContestConfig(contestId), getAdjustments(contestId)) });
 }
 
-async function fetchStandings(queryParams) {
-    const methodName = 'contest.standings';
-    const baseUrl = `https://codeforces.com/api/${methodName}`;
-    if (CF_API_KEY && CF_API_SECRET) {
-        const time = Math.floor(Date.now() / 1000);
-        const paramsForSig = { ...queryParams, apiKey: CF_API_KEY, time };
-        const apiSig = generateApiSig(methodName, paramsForSig);
-        const finalParams = new URLSearchParams({ ...queryParams, apiKey: CF_API_KEY, time, apiSig }).toString();
-        const { data } = await axios.get(`${baseUrl}?${finalParams}`, { timeout: 20000 });
-        return data;
-    } else {
-        const finalParams = new URLSearchParams(queryParams).toString();
-        const { data } = await axios.get(`${baseUrl}?${finalParams}`, { timeout: 20000 });
-        return data;
+async function getScoreBreakdown(contestId, handle) {
+    const scored = await scoreContest(contestId);
+    const row = scored.rows.find(r => normalizeHandle(r.party.members[0].handle) === normalizeHandle(handle));
+    return row ? { handle: row.party.members[0].handle, baseScore: row.baseScore, firstAcBonus: row.firstAcBonus } : null;
+}
+
+// Handles in a contest the registry could not place with certainty. Codeforces handles are
+// canonical on their own, so unmatched ones are only reported for other platforms.
+async function getIdentityReport(contestId) {
+    const config = getContestConfig(contestId);
+    const standings = await getRawStandings(contestId);
+    const platform = sourcePlatform(config, config?.source);
+    const resolve = identities.resolver();
+    const issues = [];
+    for (const row of standings.rows) {
+        if (row.manualEntry) continue;
+        for (const m of row.party.members) {
+            const username = m.sourceHandle ?? m.handle;
+            const { id, status, candidates } = resolve(username, platform);
+            if (status === 'linked' || (status === 'inferred' && id === username) || (status === 'unmatched' && platform === 'codeforces')) continue;
+            issues.push({ handle: username, rank: row.rank, status, candidates });
+        }
     }
+    return { contestId, name: standings.contest.name, platform, issues };
 }
 
+app.get('/api/audit', async (req, res) => {
+    const { contestId, handle } = req.query;
+    const contestIds = contestId
+        ? [contestId]
+        : Array.from(new Set([...listContestConfigs().map(c => c.id), ...store.list('adjustments').map(a => a.contestId)]));
+    try {
+        const adjustments = [];
+        for (const id of contestIds) {
+            const scored = await scoreContest(id);
+            for (const row of scored.rows) {
+                const rowHandle = row.party.members[0].handle;
+                if (handle && normalizeHandle(rowHandle) !== normalizeHandle(handle)) continue;
+                row.adjustments.forEach(adjustment => adjustments.push({ contestId: id, handle: rowHandle, ...adjustment }));
+            }
+        }
+        res.json({ status: 'OK', result: { adjustments, log: listAudit(store, { contestId, handle }) } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'FAILED', comment: err.message });
+    }
+});
+
 app.get('/health', (_, res) => res.json({ ok: true }));
 const server = app.listen(PORT, () => console.log(`[server] listening on http://localhost:${PORT}`));
 const wss = new WebSocketServer({ server, path: '/ws' });
 const rooms = new Map();
 const intervals = new Map();
+const seriesSnapshots = new Map();
+const contestSnapshots = new Map();
 
-function subscribe(ws, contestId) {
-    if (!rooms.has(contestId)) rooms.set(contestId, new Set());
-    rooms.get(contestId).add(ws);
-    console.log(`[ws] client subscribed to contest ${contestId}. Count=${rooms.get(contestId).size}`);
-    if (!intervals.has(contestId)) {
-        const timer = setInterval(() => pollAndBroadcast(contestId), POLL_INTERVAL_MS);
-        intervals.set(contestId, timer);
-        pollAndBroadcast(contestId);
+function send(ws, payload) {
+    if (ws.readyState === ws.OPEN) ws.send(payload);
+}
+
+function broadcast(roomKey, message) {
+    const clients = rooms.get(roomKey);
+    if (!clients || clients.size === 0) return 0;
+    const payload = JSON.stringify(message);
+    for (const ws of clients) send(ws, payload);
+    return clients.size;
+}
+
+// A room is either a single contest (keyed by its id) or a contest series (keyed `series:<ids>`).
+function subscribe(ws, roomKey, poll) {
+    if (!rooms.has(roomKey)) rooms.set(roomKey, new Set());
+    rooms.get(roomKey).add(ws);
+    console.log(`[ws] client subscribed to ${roomKey}. Count=${rooms.get(roomKey).size}`);
+    if (!intervals.has(roomKey)) {
+        const timer = setInterval(poll, POLL_INTERVAL_MS);
+        intervals.set(roomKey, timer);
+        poll();
+    } else if (seriesSnapshots.has(roomKey)) {
+        const { series, leaderboard, problems } = seriesSnapshots.get(roomKey);
+        send(ws, JSON.stringify({ type: 'series-standings', series, data: { status: 'OK', result: { leaderboard, problems } } }));
+    } else if (contestSnapshots.has(roomKey)) {
+        send(ws, JSON.stringify(contestSnapshots.get(roomKey)));
     }
 }
 
-function unsubscribe(ws, contestId) {
-    const set = rooms.get(contestId);
+function unsubscribe(ws, roomKey) {
+    const set = rooms.get(roomKey);
     if (!set) return;
     set.delete(ws);
-    console.log(`[ws] client left contest ${contestId}. Count=${set.size}`);
+    console.log(`[ws] client left ${roomKey}. Count=${set.size}`);
     if (set.size === 0) {
-        rooms.delete(contestId);
-        if (intervals.has(contestId)) {
-            clearInterval(intervals.get(contestId));
-            intervals.delete(contestId);
-            console.log(`[ws] stopped polling for contest ${contestId}`);
+        rooms.delete(roomKey);
+        seriesSnapshots.delete(roomKey);
+        contestSnapshots.delete(roomKey);
+        if (intervals.has(roomKey)) {
+            clearInterval(intervals.get(roomKey));
+            intervals.delete(roomKey);
+            console.log(`[ws] stopped polling for ${roomKey}`);
         }
     }
 }
 
-async function pollAndBroadcast(contestId) {
+function broadcastError(roomKey, e, extra) {
+    const errorMessage = e.response?.data?.comment || e.message || 'Failed to fetch standings';
+    broadcast(roomKey, { type: 'error', ...extra, message: errorMessage });
+    console.error(`[ws] poll error for ${roomKey}:`, errorMessage);
+}
+
+// Streaks for a single contest are built from the configured contests that precede it,
+// so they follow contest order rather than whichever rooms happen to be polled.
+// `steps` (see freeze.js) turns the update into a `reveal` message for the projector view.
+async function pollAndBroadcast(contestId, steps = null) {
     try {
-        const rawData = await getRawStandings(contestId);
-        const dataWithScores = calculateScoresAndStreaks(JSON.parse(JSON.stringify(rawData)), contestId, userContestHistory);
-        const payload = JSON.stringify({ type: 'standings', contestId, data: { status: 'OK', result: dataWithScores }});
-        const clients = rooms.get(contestId);
-        if (!clients || clients.size === 0) return;
-        for (const ws of clients) {
-            if (ws.readyState === ws.OPEN) ws.send(payload);
-        }
-        console.log(`[ws] broadcasted to contest ${contestId} (clients=${clients.size})`);
+        const { processedContests } = await buildCumulativeStandings(precedingContestIds(contestId));
+        const result = processedContests[contestId];
+        const message = {
+            type: 'standings',
+            contestId,
+            freeze: describeFreeze(store.get('freezes', contestId), getContestConfig(contestId), result.contest, latestRawStandings(contestId)),
+            data: { status: 'OK', result }
+        };
+        contestSnapshots.set(contestId, message);
+        const count = broadcast(contestId, steps ? { ...message, type: 'reveal', steps } : message);
+        if (count > 0) console.log(`[ws] broadcasted to contest ${contestId} (clients=${count})`);
     } catch (e) {
-        const clients = rooms.get(contestId);
-        const errorMessage = e.response?.data?.comment || 'Failed to fetch standings';
-        const errorMsgPayload = JSON.stringify({ type: 'error', contestId, message: errorMessage });
-        if (clients) {
-            for (const ws of clients) {
-                if (ws.readyState === ws.OPEN) ws.send(errorMsgPayload);
-            }
+        broadcastError(contestId, e, { contestId });
+    }
+}
+
+// Pushes a freeze or reveal to the contest's room and to every watched series that includes it.
+async function publishScoreboard(contestId, steps = null) {
+    await pollAndBroadcast(contestId, steps);
+    const watched = [...seriesSnapshots].filter(([, { series }]) => series.includes(contestId));
+    await Promise.all(watched.map(([roomKey, { series }]) => pollSeries(roomKey, series, seasons.get(roomKey.replace(/^season:/, '')) || null)));
+}
+
+async function pollSeries(roomKey, series, season = null) {
+    try {
+        const { leaderboard, contests } = await buildCumulativeStandings(series, season);
+        const previous = seriesSnapshots.get(roomKey);
+        seriesSnapshots.set(roomKey, { series, leaderboard, problems: contests });
+
+        if (!previous) {
+            broadcast(roomKey, { type: 'series-standings', series, data: { status: 'OK', result: { leaderboard, problems: contests } } });
+            return;
         }
-        console.error(`[ws] poll error for contest ${contestId}:`, errorMessage);
+        const { changes, removed } = diffLeaderboards(previous.leaderboard, leaderboard);
+        if (changes.length === 0 && removed.length === 0) return;
+        const count = broadcast(roomKey, { type: 'series-diff', series, changes, removed });
+        console.log(`[ws] broadcasted ${changes.length} changes to ${roomKey} (clients=${count})`);
+    } catch (e) {
+        broadcastError(roomKey, e, { series });
     }
 }
 
 wss.on('connection', (ws, req) => {
     const url = new URL(req.url, `http://localhost:${PORT}`);
     const contestId = url.searchParams.get('contestId');
-    if (!contestId) {
-        ws.send(JSON.stringify({ type: 'error', message: 'contestId query required' }));
+    const seriesParam = url.searchParams.get('series');
+    const season = seasons.get(url.searchParams.get('season'));
+    let roomKey;
+    if (season) {
+        roomKey = `season:${season.id}`;
+        subscribe(ws, roomKey, () => pollSeries(roomKey, season.contestIds, season));
+    } else if (seriesParam) {
+        const series = Array.from(new Set(parseContestIds(seriesParam))).sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+        roomKey = `series:${series.join(',')}`;
+        subscribe(ws, roomKey, () => pollSeries(roomKey, series));
+    } else if (contestId) {
+        roomKey = contestId;
+        subscribe(ws, roomKey, () => pollAndBroadcast(contestId));
+    } else {
+        ws.send(JSON.stringify({ type: 'error', message: 'contestId, series or season query required' }));
         ws.close();
         return;
     }
-    subscribe(ws, contestId);
-    ws.on('close', () => unsubscribe(ws, contestId));
+    ws.on('close', () => unsubscribe(ws, roomKey));
     ws.on('message', (msg) => {
         try {
             const data = JSON.parse(msg.toString());
             if (data.type === 'ping') ws.send(JSON.stringify({ type: 'pong' }));
         } catch {}
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,19 @@
+import fs from 'fs';
+
+// `mapping.txt` holds one `cf_handle,hr_handle` pair per line; it is read as an hr → cf lookup.
+export function readMapping(filePath) {
+    if (!fs.existsSync(filePath)) {
+        console.error(`Mapping file not found: ${filePath}`);
+        return {};
+    }
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const lines = content.trim().split('\n').slice(1);
+    const mapping = {};
+    lines.forEach(line => {
+        const [cf, hr] = line.split(',');
+        if (cf && hr) {
+            mapping[hr.trim()] = cf.trim();
+        }
+    });
+    return mapping;
+}
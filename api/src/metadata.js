@@ -0,0 +1,56 @@
+// Contest metadata shown to visitors: where and when a contest ran, its links, and markdown notes
+// on anything special about its scoring. It lives in the contest config next to the scoring rules.
+
+import { sourcePlatform } from './sources.js';
+
+const LINK_FIELDS = ['problems', 'editorial'];
+const MAX_NOTES_LENGTH = 10000;
+
+export function describeContest(config) {
+    return {
+        id: config.id,
+        name: config.name || `Contest ${config.id}`,
+        platform: sourcePlatform(config, config.source),
+        date: config.date || null,
+        links: Object.fromEntries(LINK_FIELDS.map(field => [field, config.links?.[field] || null])),
+        notes: config.notes || ''
+    };
+}
+
+const isUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Validates an admin metadata update, `{ date, links: { problems, editorial }, notes }`, and returns
+ * the fields it sets. Omitted fields are left alone; null clears one. Throws with a message for a 400 response.
+ */
+export function parseMetadata(body) {
+    const update = {};
+    if (body?.date !== undefined) {
+        if (body.date !== null && !(typeof body.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(body.date) && !Number.isNaN(Date.parse(body.date)))) {
+            throw new Error('date must be a YYYY-MM-DD date or null');
+        }
+        update.date = body.date;
+    }
+    if (body?.links !== undefined) {
+        if (body.links === null || typeof body.links !== 'object' || Array.isArray(body.links)) throw new Error(`links must be an object with ${LINK_FIELDS.join(', ')}`);
+        const unknown = Object.keys(body.links).filter(key => !LINK_FIELDS.includes(key));
+        if (unknown.length > 0) throw new Error(`links has unknown fields ${unknown.join(', ')}; expected ${LINK_FIELDS.join(', ')}`);
+        for (const [field, url] of Object.entries(body.links)) {
+            if (url !== null && url !== '' && !isUrl(url)) throw new Error(`links.${field} must be an http(s) URL or null`);
+        }
+        update.links = body.links;
+    }
+    if (body?.notes !== undefined) {
+        if (body.notes !== null && typeof body.notes !== 'string') throw new Error('notes must be a markdown string or null');
+        if (body.notes && body.notes.length > MAX_NOTES_LENGTH) throw new Error(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+        update.notes = body.notes;
+    }
+    if (Object.keys(update).length === 0) throw new Error('Provide at least one of date, links or notes');
+    return update;
+}
@@ -0,0 +1,76 @@
+// Search, filtering, sorting and pagination over a ranked cumulative leaderboard.
+
+import { normalizeHandle } from './identity.js';
+
+const MAX_LIMIT = 500;
+
+const attended = (row) => Object.keys(row.contests).length;
+
+function nonNegativeInt(value, name) {
+    if (!/^\d+$/.test(String(value).trim())) throw new Error(`${name} must be a non-negative integer`);
+    return parseInt(value, 10);
+}
+
+/**
+ * Validates the leaderboard query parameters against the contests on the board. Throws with a
+ * message suitable for a 400 response. `sort` is `total` or a contest id; `limit` absent means
+ * every matching row on one page. `focus` picks the page holding that trainer when no page is given.
+ */
+export function parseLeaderboardQuery(query, contestIds) {
+    const sort = query.sort ? String(query.sort) : 'total';
+    if (sort !== 'total' && !contestIds.includes(sort)) throw new Error(`sort must be total or one of the contest ids ${contestIds.join(', ')}`);
+    const order = query.order ? String(query.order) : 'desc';
+    if (!['asc', 'desc'].includes(order)) throw new Error('order must be asc or desc');
+
+    const minContests = query.minContests !== undefined ? nonNegativeInt(query.minContests, 'minContests') : 0;
+    const limit = query.limit !== undefined ? nonNegativeInt(query.limit, 'limit') : null;
+    if (limit !== null && (limit < 1 || limit > MAX_LIMIT)) throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+    const page = query.page !== undefined ? nonNegativeInt(query.page, 'page') : null;
+    if (page === 0) throw new Error('page starts at 1');
+
+    return {
+        search: query.search ? String(query.search).trim() : '',
+        sort,
+        order,
+        minContests,
+        page,
+        limit,
+        focus: query.focus ? String(query.focus) : null
+    };
+}
+
+/**
+ * Applies parsed query options. Sorting by a contest orders by that contest's score, with trainers
+ * who missed it last and the overall rank breaking ties. Rows keep their overall `rank`.
+ * Returns `{ rows, pagination: { page, limit, total, pages } }`, `total` counting matching rows.
+ */
+export function queryLeaderboard(leaderboard, { search = '', sort = 'total', order = 'desc', minContests = 0, page = null, limit = null, focus = null } = {}) {
+    const needle = normalizeHandle(search);
+    let rows = leaderboard.filter(row => {
+        if (attended(row) < minContests) return false;
+        if (!needle) return true;
+        return [row.handle, row.displayName].some(name => name && normalizeHandle(name).includes(needle));
+    });
+
+    if (sort !== 'total') {
+        const score = (row) => row.contests[sort]?.score;
+        rows = [...rows].sort((a, b) => {
+            if (score(a) === undefined || score(b) === undefined) return (score(a) === undefined) - (score(b) === undefined);
+            const difference = order === 'desc' ? score(b) - score(a) : score(a) - score(b);
+            return difference || a.rank - b.rank;
+        });
+    } else if (order === 'asc') {
+        rows = [...rows].reverse();
+    }
+
+    const total = rows.length;
+    if (!limit) return { rows, pagination: { page: 1, limit: total, total, pages: 1 } };
+
+    const pages = Math.max(1, Math.ceil(total / limit));
+    let current = Math.min(page || 1, pages);
+    if (!page && focus) {
+        const index = rows.findIndex(row => normalizeHandle(row.handle) === normalizeHandle(focus));
+        if (index >= 0) current = Math.floor(index / limit) + 1;
+    }
+    return { rows: rows.slice((current - 1) * limit, current * limit), pagination: { page: current, limit, total, pages } };
+}
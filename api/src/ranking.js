@@ -0,0 +1,139 @@
+// Ordering of the cumulative leaderboard: total score first, then the configured tie-breakers.
+
+const EPSILON = 1e-9;
+
+/**
+ * Each tie-breaker compares two leaderboard rows and returns a negative number when `a` should
+ * rank above `b`. `describe` explains a decided comparison from the winner's point of view.
+ */
+const TIE_BREAKERS = {
+    penalty: {
+        label: 'total penalty',
+        compare: (a, b) => a.penalty - b.penalty,
+        describe: (a, b) => `lower total penalty (${a.penalty} vs ${b.penalty})`
+    },
+    contestsAttended: {
+        label: 'contests attended',
+        compare: (a, b) => attended(b) - attended(a),
+        describe: (a, b) => `attended more contests (${attended(a)} vs ${attended(b)})`
+    },
+    bestRank: {
+        label: 'best single-contest rank',
+        compare: (a, b) => (bestRank(a) === bestRank(b) ? 0 : bestRank(a) - bestRank(b)),
+        describe: (a, b) => `better best single-contest rank (#${bestRank(a)} vs ${Number.isFinite(bestRank(b)) ? `#${bestRank(b)}` : 'none'})`
+    },
+    recent: {
+        label: 'most recent performance',
+        compare: (a, b, ctx) => {
+            const contestId = lastDifference(a, b, ctx.orderedIds);
+            return contestId ? contestScore(b, contestId) - contestScore(a, contestId) : 0;
+        },
+        describe: (a, b, ctx) => {
+            const contestId = lastDifference(a, b, ctx.orderedIds);
+            return `scored more in the most recent contest that separates them, ${ctx.contestName(contestId)} (${round(contestScore(a, contestId))} vs ${round(contestScore(b, contestId))})`;
+        }
+    },
+    headToHead: {
+        label: 'head-to-head',
+        compare: (a, b, ctx) => {
+            const { wins, losses } = headToHead(a, b, ctx.orderedIds);
+            return losses - wins;
+        },
+        describe: (a, b, ctx) => {
+            const { wins, losses, shared } = headToHead(a, b, ctx.orderedIds);
+            return `finished ahead head-to-head (${wins} wins to ${losses} in ${shared} shared contests)`;
+        }
+    }
+};
+
+export const TIE_BREAKER_NAMES = Object.keys(TIE_BREAKERS);
+export const DEFAULT_TIE_BREAKERS = ['penalty', 'contestsAttended', 'bestRank', 'recent', 'headToHead'];
+
+const round = (value) => +value.toFixed(2);
+const attended = (row) => Object.keys(row.contests).length;
+const contestScore = (row, contestId) => row.contests[contestId]?.score || 0;
+
+function bestRank(row) {
+    const ranks = Object.values(row.contests).map(entry => entry.rank).filter(rank => rank !== null && rank !== undefined);
+    return ranks.length > 0 ? Math.min(...ranks) : Infinity;
+}
+
+function lastDifference(a, b, orderedIds) {
+    for (let i = orderedIds.length - 1; i >= 0; i--) {
+        if (Math.abs(contestScore(a, orderedIds[i]) - contestScore(b, orderedIds[i])) > EPSILON) return orderedIds[i];
+    }
+    return null;
+}
+
+function headToHead(a, b, orderedIds) {
+    let wins = 0, losses = 0, shared = 0;
+    for (const contestId of orderedIds) {
+        const ra = a.contests[contestId]?.rank;
+        const rb = b.contests[contestId]?.rank;
+        if (ra === undefined || rb === undefined) continue;
+        shared++;
+        if (ra < rb) wins++;
+        else if (rb < ra) losses++;
+    }
+    return { wins, losses, shared };
+}
+
+export function validateTieBreakers(tieBreakers) {
+    const unknown = tieBreakers.filter(name => !TIE_BREAKERS[name]);
+    if (unknown.length > 0) throw new Error(`Unknown tie-breaker ${unknown.join(', ')}; expected ${TIE_BREAKER_NAMES.join(', ')}`);
+    return tieBreakers;
+}
+
+/**
+ * Explains why `a` is at least level with `b`: `decidedBy` is `score`, the tie-breaker that
+ * separated them, or null when they are tied on everything and share a rank.
+ */
+export function explainOrder(a, b, ctx) {
+    const scoreDifference = b.score - a.score;
+    if (Math.abs(scoreDifference) > EPSILON) {
+        const [high, low] = scoreDifference < 0 ? [a, b] : [b, a];
+        return { above: high.handle, decidedBy: 'score', explanation: `${high.handle} has the higher total score (${round(high.score)} vs ${round(low.score)})` };
+    }
+    for (const name of ctx.tieBreakers) {
+        const breaker = TIE_BREAKERS[name];
+        const result = breaker.compare(a, b, ctx);
+        if (result === 0) continue;
+        const [high, low] = result < 0 ? [a, b] : [b, a];
+        return { above: high.handle, decidedBy: name, explanation: `Tied on score; ${high.handle} ${breaker.describe(high, low, ctx)}` };
+    }
+    return { above: null, decidedBy: null, explanation: `Tied on score and every tie-breaker (${ctx.tieBreakers.map(name => TIE_BREAKERS[name].label).join(', ') || 'none configured'}), so they share a rank` };
+}
+
+export function comparisonContext(contests, tieBreakers = DEFAULT_TIE_BREAKERS) {
+    return {
+        tieBreakers,
+        orderedIds: contests.map(contest => contest.id),
+        contestName: (id) => contests.find(contest => contest.id === id)?.name || `Contest ${id}`
+    };
+}
+
+/**
+ * Sorts cumulative leaderboard rows and assigns shared ranks (1, 1, 3): trainers tied on score and
+ * every tie-breaker share a rank. A trainer tied on score with the one above gets `rankReason`.
+ * `contests` is the `[{ id, name }]` list in scoring order.
+ */
+export function rankLeaderboard(leaderboard, { contests, tieBreakers = DEFAULT_TIE_BREAKERS }) {
+    const ctx = comparisonContext(contests, tieBreakers);
+    const compare = (a, b) => {
+        if (Math.abs(b.score - a.score) > EPSILON) return b.score - a.score;
+        for (const name of tieBreakers) {
+            const result = TIE_BREAKERS[name].compare(a, b, ctx);
+            if (result !== 0) return result;
+        }
+        return 0;
+    };
+
+    const ranked = [];
+    [...leaderboard].sort(compare).forEach((row, index, sorted) => {
+        const above = ranked[index - 1];
+        const entry = { ...row, rank: above && compare(sorted[index - 1], row) === 0 ? above.rank : index + 1 };
+        if (above && Math.abs(above.score - row.score) <= EPSILON) entry.rankReason = explainOrder(sorted[index - 1], row, ctx).explanation;
+        ranked.push(entry);
+    });
+    return ranked;
+}
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import { join } from 'path';
+import { normalizeHandle } from './identity.js';
+
+// Rules applied to any contest without its own config, i.e. live Codeforces contests.
+export const DEFAULT_RULES = {
+    rankCutoff: 30,
+    points: { type: 'linear', offset: 31 },
+    participationPoints: 0,
+    requireSolve: true,
+    firstAc: { bonus: 2 },
+    overrides: {}
+};
+
+/**
+ * Reads every `*.json` contest config in `dir`. A config looks like:
+ *
+ *   {
+ *     "id": "631209", "name": "Codemon Contest 3", "platform": "codeforces",
+ *     "scoring": {
+ *       "rankCutoff": 30,                              // ranks past this get no rank points
+ *       "points": { "type": "linear", "offset": 31 },  // offset - rank, or { "type": "table", "values": [...] }
+ *       "participationPoints": 0,                      // added for every row
+ *       "requireSolve": false,                         // score nothing unless row.points > 0
+ *       "firstAc": { "table": { "handle": 4 } },       // or { "bonus": 2 } / { "bonus": [4, 2, 2] } for auto detection, or null
+ *       "overrides": { "baseScore": { "handle": 22.36 }, "firstAcBonus": { "handle": 2 } }
+ *     }
+ *   }
+ *
+ * Table and override entries may also be written as `{ "value": 4, "reason": "..." }`; entries
+ * without their own reason fall back to the `reason` set on the `firstAc` or `overrides` block.
+ */
+export function loadContestConfigs(dir) {
+    const configs = new Map();
+    if (!fs.existsSync(dir)) {
+        console.error(`Contest config directory not found: ${dir}`);
+        return configs;
+    }
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+        try {
+            const config = JSON.parse(fs.readFileSync(join(dir, file), 'utf-8'));
+            if (!config.id) throw new Error('missing "id"');
+            configs.set(String(config.id), { ...config, id: String(config.id) });
+        } catch (err) {
+            console.error(`Skipping contest config ${file}: ${err.message}`);
+        }
+    }
+    return configs;
+}
+
+/**
+ * Streak rules, set per season under `streaks`:
+ *
+ *   {
+ *     "participation": "score",                 // "score": a contest counts only with points > 0; "attended": appearing is enough
+ *     "multipliers": [1, 1, 1.05, 1.10, 1.15],  // indexed by streak length; longer streaks use the last value
+ *     "max": null,                              // streak length stops growing here; null for no cap
+ *     "freezes": 0,                             // missed contests per season that leave the streak untouched
+ *     "decay": null                             // streak steps lost per further miss; null resets to 0
+ *   }
+ */
+export const DEFAULT_STREAKS = {
+    participation: 'score',
+    multipliers: [1, 1, 1.05, 1.10, 1.15],
+    max: null,
+    freezes: 0,
+    decay: null
+};
+
+/**
+ * Merges a contest's scoring config over the season's scoring defaults and the global defaults. Admin adjustments
+ * (`{ handle, field: 'baseScore' | 'firstAcBonus', value, reason, author }`) are applied after config overrides.
+ */
+export function resolveRules(config, adjustments = [], seasonScoring = {}) {
+    return { ...DEFAULT_RULES, ...seasonScoring, ...(config?.scoring || {}), adjustments };
+}
+
+export function resolveStreaks(streaks) {
+    const resolved = { ...DEFAULT_STREAKS, ...streaks };
+    if (!['score', 'attended'].includes(resolved.participation)) throw new Error(`Unknown streak participation rule "${resolved.participation}"`);
+    return resolved;
+}
+
+/**
+ * Replays `history` (`{ score, rank }` per contest in scoring order, `rank: null` when absent)
+ * and returns the streak standing after its last entry.
+ */
+export function computeStreak(streaks, history) {
+    const { participation, max, freezes, decay } = resolveStreaks(streaks);
+    let streak = 0;
+    let freezesLeft = freezes;
+    for (const entry of history) {
+        const counts = participation === 'attended' ? entry.rank !== null : entry.score > 0;
+        if (counts) streak = max ? Math.min(streak + 1, max) : streak + 1;
+        else if (freezesLeft > 0) freezesLeft--;
+        else streak = decay === null ? 0 : Math.max(0, streak - decay);
+    }
+    return streak;
+}
+
+export function streakMultiplier(streaks, streak) {
+    const { multipliers } = resolveStreaks(streaks);
+    return multipliers[Math.min(streak, multipliers.length - 1)];
+}
+
+const entryValue = (entry) => (entry !== null && typeof entry === 'object' ? entry.value : entry);
+const entryReason = (entry, block) => (entry !== null && typeof entry === 'object' && entry.reason) || block?.reason || null;
+
+function rankPoints(points, rank) {
+    if (!points) return 0;
+    if (points.type === 'linear') return points.offset - rank;
+    if (points.type === 'table') return points.values[rank - 1] ?? 0;
+    throw new Error(`Unknown points type "${points.type}"`);
+}
+
+function autoFirstAcBonus(firstAc, row, handle, firstAcByProblem) {
+    let bonus = 0;
+    if (row.problemResults) {
+        row.problemResults.forEach((pr, index) => {
+            const firstAcRow = firstAcByProblem.get(index);
+            if (pr.points > 0 && firstAcRow && firstAcRow.handle === handle && firstAcRow.time === pr.bestSubmissionTimeSeconds) {
+                bonus += Array.isArray(firstAc.bonus) ? (firstAc.bonus[index] ?? 0) : firstAc.bonus;
+            }
+        });
+    }
+    return bonus;
+}
+
+// A per-handle config entry (first-AC table, overrides), keyed by any spelling of the handle.
+const entryFor = (table, handle) => {
+    if (!table) return undefined;
+    const key = Object.keys(table).find(name => normalizeHandle(name) === normalizeHandle(handle));
+    return key === undefined ? undefined : table[key];
+};
+
+/**
+ * Scores one standings row under `rules`. `firstAcByProblem` maps problem index to the
+ * `{ handle, time }` of its earliest accepted submission and is only used for auto first-AC.
+ * Every manual change to the computed score is listed in `adjustments` with its before/after value.
+ */
+export function scoreRow(rules, row, handle, firstAcByProblem) {
+    const scores = { baseScore: 0, firstAcBonus: 0 };
+    const adjustments = [];
+    const apply = (field, value, details) => {
+        adjustments.push({ field, before: scores[field], after: value, ...details });
+        scores[field] = value;
+    };
+
+    if (row.manualEntry) {
+        adjustments.push({ field: 'entry', before: null, after: row.rank, reason: row.manualEntry.reason || null, author: null, timestamp: null, source: 'config' });
+    }
+
+    if (!rules.requireSolve || row.points > 0) {
+        scores.baseScore = rules.participationPoints || 0;
+        if (row.rank <= rules.rankCutoff) scores.baseScore += rankPoints(rules.points, row.rank);
+
+        const tableEntry = entryFor(rules.firstAc?.table, handle);
+        if (rules.firstAc?.table) {
+            if (entryValue(tableEntry)) apply('firstAcBonus', entryValue(tableEntry), { reason: entryReason(tableEntry, rules.firstAc), author: null, timestamp: null, source: 'config' });
+        } else if (rules.firstAc) {
+            scores.firstAcBonus = autoFirstAcBonus(rules.firstAc, row, handle, firstAcByProblem);
+        }
+    }
+
+    for (const field of ['baseScore', 'firstAcBonus']) {
+        const override = entryFor(rules.overrides?.[field], handle);
+        if (override !== undefined) apply(field, entryValue(override), { reason: entryReason(override, rules.overrides), author: null, timestamp: null, source: 'config' });
+    }
+    for (const adjustment of rules.adjustments || []) {
+        if (normalizeHandle(adjustment.handle) !== normalizeHandle(handle)) continue;
+        apply(adjustment.field, adjustment.value, { reason: adjustment.reason, author: adjustment.author || null, timestamp: adjustment.createdAt || null, source: 'admin', id: adjustment.id });
+    }
+
+    return { ...scores, adjustments };
+}
@@ -0,0 +1,131 @@
+// The scoring engine: per-contest scores and streaks, summed into a ranked cumulative leaderboard.
+// Everything here works on standings and already-resolved rules, so it runs without the server.
+
+import { scoreRow, computeStreak, streakMultiplier } from './rules.js';
+import { rankLeaderboard } from './ranking.js';
+import { handleCaseUnifier } from './identity.js';
+
+// The earliest accepted submission per problem index, as `{ handle, time }`, for automatic first-AC bonuses.
+export function findFirstAcs(standingsData) {
+    const firstAcByProblem = new Map();
+    if (standingsData.problems) {
+        standingsData.problems.forEach((_, index) => {
+            let firstAc = { handle: null, time: Infinity };
+            for (const row of standingsData.rows) {
+                const pr = row.problemResults[index];
+                if (pr && pr.points > 0 && pr.bestSubmissionTimeSeconds < firstAc.time) {
+                    firstAc = { time: pr.bestSubmissionTimeSeconds, handle: row.party.members[0].handle };
+                }
+            }
+            if (firstAc.handle) firstAcByProblem.set(index, firstAc);
+        });
+    }
+    return firstAcByProblem;
+}
+
+/**
+ * Scores one contest in place and re-ranks it by final score, then penalty. `userHistory` collects
+ * each trainer's results in scoring order across calls, so streaks build up contest by contest;
+ * `rules` come from `resolveRules` and `streaks` are the season's streak rules (defaults when omitted).
+ */
+export function calculateScoresAndStreaks(standingsData, contestId, userHistory, { rules, streaks } = {}) {
+    if (!standingsData || !standingsData.rows) return standingsData;
+    const firstAcByProblem = findFirstAcs(standingsData);
+
+    const contestParticipants = new Set();
+    const scoredRows = standingsData.rows.map(row => {
+        const handle = row.party.members[0].handle;
+        contestParticipants.add(handle);
+
+        const { baseScore, firstAcBonus, adjustments } = scoreRow(rules, row, handle, firstAcByProblem);
+        const rawScore = baseScore + firstAcBonus;
+        if (!userHistory.has(handle)) userHistory.set(handle, []);
+        const history = userHistory.get(handle);
+        const existingEntry = history.find(entry => entry.contestId === contestId);
+        if (!existingEntry) {
+            history.push({ contestId, score: rawScore, rank: row.rank });
+        } else {
+            existingEntry.score = rawScore;
+            existingEntry.rank = row.rank;
+        }
+        return { ...row, rawScore, baseScore, firstAcBonus, adjustments };
+    });
+
+    const finalScoredRows = scoredRows.map(row => {
+        const handle = row.party.members[0].handle;
+        const history = userHistory.get(handle);
+        const streak = computeStreak(streaks, history.slice(0, history.findIndex(h => h.contestId === contestId) + 1));
+        const multiplier = streakMultiplier(streaks, streak);
+        const streakBonus = row.rawScore * (multiplier - 1);
+        const customScore = row.rawScore * multiplier;
+        return { ...row, customScore, streak, streakBonus, streakMultiplier: multiplier };
+    });
+
+    finalScoredRows.sort((a, b) => b.customScore - a.customScore || a.penalty - b.penalty);
+
+    let currentRank = 0, lastScore = -1, lastPenalty = -1;
+    finalScoredRows.forEach((row, index) => {
+        if (row.customScore !== lastScore || row.penalty !== lastPenalty) {
+            currentRank = index + 1;
+            lastScore = row.customScore;
+            lastPenalty = row.penalty;
+        }
+        row.rank = currentRank;
+    });
+    standingsData.rows = finalScoredRows;
+    for (const [handle, history] of userHistory.entries()) {
+        if (!contestParticipants.has(handle) && !history.find(e => e.contestId === contestId)) {
+            history.push({ contestId, score: 0, rank: null });
+        }
+    }
+    return standingsData;
+}
+
+/**
+ * Scores `rawContests` (the standings of `ids`, left untouched) in scoring order and sums them per
+ * trainer. Contests are scored by `position(id)`, numeric contest id by default, so streaks build up
+ * chronologically. `rulesFor(contestId)` returns each contest's resolved rules.
+ * Returns `{ leaderboard, contests, orderedIds, processedContests }`.
+ */
+export function scoreSeries(ids, rawContests, {
+    rulesFor,
+    position = (id) => parseInt(id, 10),
+    streaks,
+    tieBreakers,
+    displayName = (handle) => handle
+}) {
+    const cumulativeScores = new Map();
+    const allRawContestData = [...rawContests].sort((a, b) => position(a.contest.id) - position(b.contest.id));
+    const requestScopedHistory = new Map();
+    const processedContests = {};
+    const unifyCase = handleCaseUnifier();
+    for (const rawData of allRawContestData) {
+        const contestId = rawData.contest.id.toString();
+        processedContests[contestId] = calculateScoresAndStreaks(unifyCase(JSON.parse(JSON.stringify(rawData))), contestId, requestScopedHistory, { rules: rulesFor(contestId), streaks });
+    }
+    for (const contestId of ids) {
+        const contestData = processedContests[contestId];
+        if (!contestData) continue;
+        for (const row of contestData.rows) {
+            const handle = row.party.members[0].handle;
+            if (!cumulativeScores.has(handle)) cumulativeScores.set(handle, { score: 0, penalty: 0, contests: {} });
+            const userEntry = cumulativeScores.get(handle);
+            userEntry.score += row.customScore;
+            userEntry.penalty += row.penalty;
+            userEntry.contests[contestId] = {
+                score: row.customScore, rank: row.rank, streak: row.streak,
+                baseScore: row.baseScore, firstAcBonus: row.firstAcBonus, streakBonus: row.streakBonus, streakMultiplier: row.streakMultiplier,
+            };
+            if (row.adjustments.length > 0) userEntry.contests[contestId].adjustments = row.adjustments;
+        }
+    }
+    const contestDetails = ids.map(id => {
+        const contestData = allRawContestData.find(data => data.contest.id.toString() === id);
+        return { id, name: contestData ? contestData.contest.name : `Contest ${id}`, phase: contestData?.contest.phase || 'FINISHED' };
+    });
+    // Object keys that look like numbers iterate in numeric order, so scoring order is taken from the sorted standings.
+    const orderedIds = allRawContestData.map(data => data.contest.id.toString());
+    const rows = Array.from(cumulativeScores.entries()).map(([handle, data]) => ({ handle, displayName: displayName(handle), ...data }));
+    const leaderboard = rankLeaderboard(rows, { contests: orderedIds.map(id => contestDetails.find(c => c.id === id)), tieBreakers });
+    return { leaderboard, contests: contestDetails, orderedIds, processedContests };
+}
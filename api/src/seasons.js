@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { join } from 'path';
+import { resolveStreaks } from './rules.js';
+import { DEFAULT_TIE_BREAKERS, validateTieBreakers } from './ranking.js';
+
+/**
+ * Reads every `*.json` season in `dir`. A season looks like:
+ *
+ *   {
+ *     "id": "codemon-2025", "name": "Codemon 2025",
+ *     "contestIds": ["631207", "631208"],             // scored in this order for streaks
+ *     "startDate": "2025-08-01", "endDate": null,     // ISO dates; null leaves that end open
+ *     "scoring": { "rankCutoff": 30 },                 // defaults for its contests, under each contest's own scoring
+ *     "streaks": { "participation": "attended", "freezes": 1 },  // see DEFAULT_STREAKS in rules.js
+ *     "tieBreakers": ["contestsAttended", "headToHead"]          // applied in order after total score; see ranking.js
+ *   }
+ */
+export function loadSeasons(dir) {
+    const seasons = new Map();
+    if (!fs.existsSync(dir)) return seasons;
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+        try {
+            const season = JSON.parse(fs.readFileSync(join(dir, file), 'utf-8'));
+            if (!season.id) throw new Error('missing "id"');
+            if (!Array.isArray(season.contestIds)) throw new Error('missing "contestIds"');
+            seasons.set(String(season.id), {
+                ...season,
+                id: String(season.id),
+                name: season.name || String(season.id),
+                contestIds: season.contestIds.map(String),
+                startDate: season.startDate || null,
+                endDate: season.endDate || null,
+                streaks: resolveStreaks(season.streaks),
+                tieBreakers: validateTieBreakers(season.tieBreakers || DEFAULT_TIE_BREAKERS)
+            });
+        } catch (err) {
+            console.error(`Skipping season ${file}: ${err.message}`);
+        }
+    }
+    return seasons;
+}
+
+// End dates are inclusive, so a season ending on the 31st is still active that day.
+export function seasonStatus(season, now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    if (season.startDate && today < season.startDate) return 'upcoming';
+    if (season.endDate && today > season.endDate) return 'finished';
+    return 'active';
+}
+
+// The season the site opens on: the active one that started last, otherwise the most recent one.
+export function currentSeason(seasons, now = new Date()) {
+    const byStart = [...seasons].sort((a, b) => (b.startDate || '').localeCompare(a.startDate || ''));
+    return byStart.find(season => seasonStatus(season, now) === 'active')
+        || byStart.find(season => seasonStatus(season, now) === 'finished')
+        || byStart[0]
+        || null;
+}
+
+export function describeSeason(season, now = new Date()) {
+    const { id, name, contestIds, startDate, endDate, streaks, tieBreakers } = season;
+    return { id, name, contestIds, startDate, endDate, status: seasonStatus(season, now), streaks, tieBreakers };
+}
@@ -0,0 +1,29 @@
+// Cumulative leaderboards pushed over the WebSocket are sent in full once, then as diffs.
+
+/**
+ * Compares two ranked cumulative leaderboards. `changes` lists every trainer whose rank, score,
+ * per-contest breakdown or badges changed (with the full new row in `entry`); `removed` lists
+ * trainers no longer present.
+ */
+export function diffLeaderboards(previous, next) {
+    const before = new Map(previous.map(row => [row.handle, row]));
+    const changes = [];
+    for (const row of next) {
+        const old = before.get(row.handle);
+        const unchanged = old && old.rank === row.rank && old.score === row.score
+            && JSON.stringify(old.contests) === JSON.stringify(row.contests) && JSON.stringify(old.badges) === JSON.stringify(row.badges);
+        if (unchanged) continue;
+        changes.push({
+            handle: row.handle,
+            previousRank: old?.rank ?? null,
+            rank: row.rank,
+            previousScore: old?.score ?? 0,
+            score: row.score,
+            scoreDelta: row.score - (old?.score ?? 0),
+            entry: row
+        });
+    }
+    const nextHandles = new Set(next.map(row => row.handle));
+    const removed = previous.filter(row => !nextHandles.has(row.handle)).map(row => row.handle);
+    return { changes, removed };
+}
@@ -0,0 +1,105 @@
+// "What if" scoring: checks an alternate rules config and compares the leaderboard it produces with the current one.
+
+import { resolveStreaks } from './rules.js';
+import { validateTieBreakers } from './ranking.js';
+
+const SCORING_FIELDS = ['rankCutoff', 'points', 'participationPoints', 'requireSolve', 'firstAc', 'overrides'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkScoring(scoring, where) {
+    if (!isObject(scoring)) throw new Error(`${where} must be an object`);
+    const unknown = Object.keys(scoring).filter(key => !SCORING_FIELDS.includes(key));
+    if (unknown.length > 0) throw new Error(`${where} has unknown fields ${unknown.join(', ')}; expected ${SCORING_FIELDS.join(', ')}`);
+    const { rankCutoff, points, participationPoints, requireSolve, firstAc, overrides } = scoring;
+    if (rankCutoff !== undefined && !(isNumber(rankCutoff) && rankCutoff >= 0)) throw new Error(`${where}.rankCutoff must be a non-negative number`);
+    if (points !== undefined && points !== null) {
+        const valid = (points.type === 'linear' && isNumber(points.offset))
+            || (points.type === 'table' && Array.isArray(points.values) && points.values.every(isNumber));
+        if (!valid) throw new Error(`${where}.points must be { type: "linear", offset } or { type: "table", values: [...] }`);
+    }
+    if (participationPoints !== undefined && !isNumber(participationPoints)) throw new Error(`${where}.participationPoints must be a number`);
+    if (requireSolve !== undefined && typeof requireSolve !== 'boolean') throw new Error(`${where}.requireSolve must be true or false`);
+    if (firstAc !== undefined && firstAc !== null) {
+        const bonus = firstAc.bonus;
+        const valid = isObject(firstAc) && (isObject(firstAc.table) || isNumber(bonus) || (Array.isArray(bonus) && bonus.every(isNumber)));
+        if (!valid) throw new Error(`${where}.firstAc must be null, { bonus }, { bonus: [...] } or { table }`);
+    }
+    if (overrides !== undefined && !isObject(overrides)) throw new Error(`${where}.overrides must be an object`);
+    return scoring;
+}
+
+/**
+ * Validates a simulation request body and returns `{ contestIds, scoring, contests, streaks, tieBreakers }`.
+ * `rules.scoring` applies on top of every contest's own scoring and `rules.contests[id]` on top of that;
+ * `rules.streaks` and `rules.tieBreakers` replace the season's. Throws with a message for a 400 response.
+ *
+ *   {
+ *     "season": "codemon-2025",          // or "contestIds": ["631207", "631208"]
+ *     "rules": {
+ *       "scoring": { "rankCutoff": 20, "firstAc": { "bonus": 3 } },
+ *       "contests": { "631212": { "rankCutoff": 30 } },
+ *       "streaks": { "multipliers": [1, 1, 1.1, 1.2] },
+ *       "tieBreakers": ["contestsAttended"]
+ *     }
+ *   }
+ */
+export function parseSimulation(body, season = null) {
+    const contestIds = season ? season.contestIds : (Array.isArray(body?.contestIds) ? body.contestIds.map(String) : null);
+    if (!contestIds || contestIds.length === 0) throw new Error('Provide a season or a non-empty contestIds array');
+
+    const rules = body?.rules ?? {};
+    if (!isObject(rules)) throw new Error('rules must be an object');
+    const scoring = checkScoring(rules.scoring ?? {}, 'rules.scoring');
+    const contests = rules.contests ?? {};
+    if (!isObject(contests)) throw new Error('rules.contests must map contest ids to scoring');
+    for (const [id, contestScoring] of Object.entries(contests)) {
+        if (!contestIds.includes(id)) throw new Error(`rules.contests.${id} is not one of the simulated contests`);
+        checkScoring(contestScoring, `rules.contests.${id}`);
+    }
+
+    const baseStreaks = season?.streaks || {};
+    let streaks = baseStreaks;
+    if (rules.streaks !== undefined) {
+        if (!isObject(rules.streaks)) throw new Error('rules.streaks must be an object');
+        const { multipliers, max, freezes, decay } = rules.streaks;
+        if (multipliers !== undefined && !(Array.isArray(multipliers) && multipliers.length > 0 && multipliers.every(isNumber))) throw new Error('rules.streaks.multipliers must be a non-empty array of numbers');
+        if (max !== undefined && max !== null && !(Number.isInteger(max) && max > 0)) throw new Error('rules.streaks.max must be a positive integer or null');
+        if (freezes !== undefined && !(Number.isInteger(freezes) && freezes >= 0)) throw new Error('rules.streaks.freezes must be a non-negative integer');
+        if (decay !== undefined && decay !== null && !(Number.isInteger(decay) && decay > 0)) throw new Error('rules.streaks.decay must be a positive integer or null');
+        streaks = resolveStreaks({ ...baseStreaks, ...rules.streaks });
+    }
+
+    let tieBreakers = season?.tieBreakers;
+    if (rules.tieBreakers !== undefined) {
+        if (!Array.isArray(rules.tieBreakers)) throw new Error('rules.tieBreakers must be an array');
+        tieBreakers = validateTieBreakers(rules.tieBreakers);
+    }
+
+    return { contestIds, scoring, contests, streaks, tieBreakers };
+}
+
+/**
+ * Pairs every trainer's current and simulated standing. `rankChange` is positive when the
+ * simulated rules move a trainer up; rows are in simulated order, trainers only in one board last.
+ */
+export function compareLeaderboards(current, simulated) {
+    const before = new Map(current.map(row => [row.handle, row]));
+    const after = new Map(simulated.map(row => [row.handle, row]));
+    const handles = [...simulated.map(row => row.handle), ...current.map(row => row.handle).filter(handle => !after.has(handle))];
+    return handles.map(handle => {
+        const was = before.get(handle);
+        const now = after.get(handle);
+        return {
+            handle,
+            displayName: (now || was).displayName,
+            currentRank: was?.rank ?? null,
+            simulatedRank: now?.rank ?? null,
+            rankChange: was && now ? was.rank - now.rank : null,
+            currentScore: was?.score ?? 0,
+            simulatedScore: now?.score ?? 0,
+            scoreChange: (now?.score ?? 0) - (was?.score ?? 0)
+        };
+    });
+}
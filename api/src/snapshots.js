@@ -0,0 +1,100 @@
+// The cumulative standings as they stood after each contest of a season, and the movement between two of them.
+
+import crypto from 'crypto';
+
+export const snapshotKey = (seasonId, contestId) => `${seasonId}:${contestId}`;
+
+const summarize = (leaderboard) => leaderboard.map(({ handle, rank, score }) => ({ handle, rank, score }));
+
+// A fingerprint of the season and contest configs a snapshot was scored under.
+const configHash = (season, configs) => crypto.createHash('sha256').update(JSON.stringify({ season, configs })).digest('hex').slice(0, 16);
+
+/**
+ * Returns one snapshot per contest of `season`, in season order: `{ seasonId, contestId, contestName,
+ * index, takenAt, configHash, provisional, standings: [{ handle, rank, score }] }`. `build(ids)` builds
+ * the cumulative leaderboard over the season's first contests. Snapshots whose contests have all
+ * finished are kept in the store's `snapshots` collection; `configHash` covers the season and
+ * `configFor(contestId)` of each of their contests, so a stored snapshot is retaken once either
+ * config changes. The rest are rebuilt on every call.
+ */
+export async function seasonSnapshots(store, season, build, configFor = () => null) {
+    const snapshots = [];
+    for (let index = 0; index < season.contestIds.length; index++) {
+        const contestId = season.contestIds[index];
+        const key = snapshotKey(season.id, contestId);
+        const ids = season.contestIds.slice(0, index + 1);
+        const hash = configHash(season, ids.map(id => configFor(id) ?? null));
+        const stored = store.get('snapshots', key);
+        if (stored?.configHash === hash) {
+            snapshots.push({ ...stored, provisional: false });
+            continue;
+        }
+
+        const { leaderboard, contests } = await build(ids);
+        const snapshot = {
+            seasonId: season.id,
+            contestId,
+            contestName: contests[index].name,
+            index,
+            takenAt: new Date().toISOString(),
+            configHash: hash,
+            standings: summarize(leaderboard)
+        };
+        const final = contests.every(contest => contest.phase === 'FINISHED');
+        if (final) store.set('snapshots', key, snapshot);
+        snapshots.push({ ...snapshot, provisional: !final });
+    }
+    return snapshots;
+}
+
+/**
+ * Drops stored snapshots that include `contestId` (every snapshot from its place in each season
+ * onwards), or all of them when no contest is given, so they are retaken from fresh scores.
+ */
+export function dropSnapshots(store, seasons, contestId = null) {
+    if (!contestId) {
+        store.clear('snapshots');
+        return;
+    }
+    for (const season of seasons) {
+        const index = season.contestIds.indexOf(String(contestId));
+        if (index < 0) continue;
+        for (const id of season.contestIds.slice(index)) store.delete('snapshots', snapshotKey(season.id, id));
+    }
+}
+
+/**
+ * Rank and score movement from snapshot `from` (null for "before the season") to snapshot `to`.
+ * `rankChange` is positive when a trainer climbed and null for trainers new in `to`.
+ * `climbers` are the `top` biggest climbers who also gained points, since trainers level on score
+ * can shuffle on tie-breakers alone; `dropped` lists the trainers only present in `from`.
+ */
+export function compareSnapshots(from, to, { top = 5 } = {}) {
+    const before = new Map((from?.standings || []).map(entry => [entry.handle, entry]));
+    const changes = to.standings.map(entry => {
+        const previous = before.get(entry.handle);
+        return {
+            handle: entry.handle,
+            previousRank: previous?.rank ?? null,
+            rank: entry.rank,
+            rankChange: previous ? previous.rank - entry.rank : null,
+            previousScore: previous?.score ?? 0,
+            score: entry.score,
+            scoreChange: entry.score - (previous?.score ?? 0)
+        };
+    });
+    const present = new Set(to.standings.map(entry => entry.handle));
+    const climbers = changes
+        .filter(change => change.rankChange > 0 && change.scoreChange > 0)
+        .sort((a, b) => b.rankChange - a.rankChange || a.rank - b.rank)
+        .slice(0, top);
+    return {
+        changes,
+        climbers,
+        dropped: [...before.keys()].filter(handle => !present.has(handle))
+    };
+}
+
+export const describeSnapshot = ({ contestId, contestName, index, takenAt, provisional, standings }) => ({
+    contestId, contestName, index, takenAt, provisional, trainers: standings.length
+});
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import { join, extname } from 'path';
+import { isFullHackerRankCsv, parseHackerRankExport } from './hackerrank.js';
+
+const LEADERBOARD_COLUMNS = ['rank', 'username'];
+
+/**
+ * Parses a `rank,username` leaderboard export. Header names are matched case-insensitively;
+ * malformed lines are collected in `errors` (with 1-based line numbers) rather than thrown.
+ */
+export function parseLeaderboardCsv(content, filename = 'leaderboard') {
+    const lines = content.replace(/\r/g, '').split('\n');
+    const header = lines[0].split(',').map(col => col.trim().toLowerCase());
+    if (LEADERBOARD_COLUMNS.some((col, i) => header[i] !== col)) {
+        throw new Error(`${filename}: expected header "${LEADERBOARD_COLUMNS.join(',')}", got "${lines[0].trim()}"`);
+    }
+
+    const entries = [];
+    const errors = [];
+    lines.slice(1).forEach((line, i) => {
+        const lineNumber = i + 2;
+        if (!line.trim()) return;
+        const [rankCol, username, ...rest] = line.split(',');
+        const rank = Number(rankCol);
+        if (rest.length > 0) errors.push({ line: lineNumber, message: `expected ${LEADERBOARD_COLUMNS.length} columns, got ${rest.length + 2}` });
+        else if (!Number.isInteger(rank) || rank < 1) errors.push({ line: lineNumber, message: `invalid rank "${rankCol ?? ''}"` });
+        else if (!username || !username.trim()) errors.push({ line: lineNumber, message: 'missing username' });
+        else entries.push({ rank, username: username.trim() });
+    });
+    return { entries, errors };
+}
+
+// Leaderboards uploaded through the admin API shadow the file of the same name on disk.
+function readSourceFile(source, ctx) {
+    const uploaded = ctx.readUploaded?.(source.file);
+    if (uploaded !== undefined) return uploaded;
+    const filePath = join(ctx.baseDir, source.file);
+    if (!fs.existsSync(filePath)) throw new Error(`Leaderboard file not found: ${filePath}`);
+    return fs.readFileSync(filePath, 'utf-8');
+}
+
+function reportErrors(source, errors) {
+    errors.forEach(err => console.error(`[sources] ${source.file}:${err.line}: ${err.message}`));
+}
+
+export const sourcePlatform = (config, source) => (source?.type === 'hackerrank' ? 'hackerrank' : (config?.platform || 'codeforces'));
+
+// Usernames are resolved to identity IDs through the registry, in the namespace of the platform they came from.
+function handleMapper(config, source, ctx) {
+    if (source.mapHandles === false || !ctx.resolveHandle) return username => username;
+    const platform = sourcePlatform(config, source);
+    return username => ctx.resolveHandle(username, platform).id;
+}
+
+const member = (handle, username) => (handle === username ? { handle } : { handle, sourceHandle: username });
+
+function toStandings(config, source, entries, mapHandle, problems = []) {
+    const rows = entries.map(entry => ({
+        party: { members: [member(mapHandle(entry.username), entry.username)] },
+        rank: entry.rank,
+        points: entry.points ?? source.points ?? (entry.rank <= 30 ? 31 - entry.rank : 0),
+        penalty: entry.penalty ?? 0,
+        problemResults: entry.problemResults || []
+    }));
+    for (const extra of source.extraRows || []) {
+        rows.push({
+            party: { members: [{ handle: extra.handle }] },
+            rank: extra.rank,
+            points: extra.points ?? 0,
+            penalty: 0,
+            problemResults: [],
+            manualEntry: { reason: extra.reason || null }
+        });
+    }
+    return { contest: { id: Number(config.id), name: config.name }, problems, rows };
+}
+
+async function loadCsvSource(config, source, ctx) {
+    const { entries, errors } = parseLeaderboardCsv(readSourceFile(source, ctx), source.file);
+    reportErrors(source, errors);
+    return toStandings(config, source, entries, handleMapper(config, source, ctx));
+}
+
+// HackerRank sources accept either the plain `rank,username` export or a full leaderboard
+// export with per-challenge results; `format` ("leaderboard" | "csv" | "json") overrides detection.
+async function loadHackerRankSource(config, source, ctx) {
+    const content = readSourceFile(source, ctx);
+    const format = source.format || (extname(source.file) === '.json' ? 'json' : (isFullHackerRankCsv(content) ? 'csv' : 'leaderboard'));
+    if (format === 'leaderboard') return loadCsvSource(config, source, ctx);
+
+    const { problems, rows, errors } = parseHackerRankExport(content, { format, filename: source.file });
+    reportErrors(source, errors);
+    return toStandings(config, source, rows, handleMapper(config, source, ctx), problems);
+}
+
+async function loadCodeforcesSource(config, source, ctx) {
+    const data = await ctx.fetchStandings({ contestId: config.id, showUnofficial: 'false' });
+    if (data.status === 'OK') {
+        const mapHandle = handleMapper(config, source, ctx);
+        const rows = data.result.rows.map(row => ({
+            ...row,
+            party: { ...row.party, members: row.party.members.map(m => ({ ...m, ...member(mapHandle(m.handle), m.handle) })) }
+        }));
+        return { ...data.result, rows };
+    }
+    throw new Error(data.comment || `Failed to fetch standings for contest ${config.id}`);
+}
+
+const SOURCE_LOADERS = {
+    csv: loadCsvSource,
+    hackerrank: loadHackerRankSource,
+    codeforces: loadCodeforcesSource
+};
+
+/**
+ * Loads Codeforces-shaped standings for a contest from the source its config declares
+ * (`{ "type": "csv" | "hackerrank" | "codeforces", "file", "format", "mapHandles", "points", "extraRows": [{ "handle", "rank", "reason" }] }`).
+ * Contests without a config or source are fetched from the Codeforces API. Usernames go through
+ * `ctx.resolveHandle(username, platform)` unless `mapHandles` is false; a row whose handle was
+ * rewritten keeps the original in `sourceHandle`.
+ */
+export async function loadStandings(contestId, config, ctx) {
+    const source = config?.source || { type: 'codeforces' };
+    const loader = SOURCE_LOADERS[source.type];
+    if (!loader) throw new Error(`Unknown source type "${source.type}" for contest ${contestId}`);
+    return loader(config || { id: contestId }, source, ctx);
+}
@@ -0,0 +1,111 @@
+// Contest analytics for organisers: how each problem went, how scores spread, and who keeps coming back.
+
+const handleOf = (row) => row.party.members[0].handle;
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+// A problem counts as solved at full marks: partial HackerRank credit is an attempt, not a solve.
+const isSolved = (problem, result) => Boolean(result) && result.points > 0 && (problem.maxScore === undefined || result.points >= problem.maxScore);
+const isAttempted = (result) => Boolean(result) && (result.points > 0 || result.rejectedAttemptCount > 0);
+
+function problemStats(problem, index, rows) {
+    let solved = 0;
+    let attempted = 0;
+    let rejected = 0;
+    let hasRejectedCounts = false;
+    let firstSolve = null;
+    const solveTimes = [];
+    for (const row of rows) {
+        const result = row.problemResults[index];
+        if (result?.rejectedAttemptCount !== undefined) {
+            hasRejectedCounts = true;
+            rejected += result.rejectedAttemptCount;
+        }
+        if (isAttempted(result)) attempted++;
+        if (!isSolved(problem, result)) continue;
+        solved++;
+        const time = result.bestSubmissionTimeSeconds;
+        if (time === undefined || time === null) continue;
+        solveTimes.push(time);
+        if (!firstSolve || time < firstSolve.timeSeconds) firstSolve = { timeSeconds: time, handles: [handleOf(row)] };
+        else if (time === firstSolve.timeSeconds) firstSolve.handles.push(handleOf(row));
+    }
+    solveTimes.sort((a, b) => a - b);
+    return {
+        index: problem.index,
+        name: problem.name || problem.index,
+        solved,
+        attempted,
+        solveRate: ratio(solved, rows.length),
+        // Accepted over all submissions needs rejected attempt counts, which only the Codeforces API provides.
+        acceptanceRate: hasRejectedCounts ? ratio(solved, solved + rejected) : null,
+        rejectedAttempts: hasRejectedCounts ? rejected : null,
+        firstSolve,
+        medianSolveSeconds: solveTimes.length > 0 ? solveTimes[Math.floor((solveTimes.length - 1) / 2)] : null
+    };
+}
+
+// Upper bound on the score histogram's length; wider bins are used when `binSize` would exceed it.
+export const MAX_SCORE_BINS = 100;
+
+// Counts of trainers per `binSize`-wide score range, from 0 up to the top score.
+function scoreDistribution(scores, binSize) {
+    if (!Number.isInteger(binSize) || binSize < 1) throw new Error('binSize must be a whole number of at least 1');
+    const top = Math.max(0, ...scores);
+    const width = Math.max(binSize, Math.ceil((top + 1) / MAX_SCORE_BINS));
+    const bins = Array.from({ length: Math.floor(top / width) + 1 }, (_, i) => ({ min: i * width, max: (i + 1) * width, trainers: 0 }));
+    for (const score of scores) bins[Math.min(bins.length - 1, Math.floor(Math.max(0, score) / width))].trainers++;
+    return bins;
+}
+
+/**
+ * Statistics for one scored contest (a `processedContests` entry): per-problem solve counts,
+ * first solvers and acceptance, how many trainers solved each number of problems, and the
+ * spread of Codemon scores in `binSize`-point bins (widened to keep at most `MAX_SCORE_BINS`). Imported leaderboards without per-problem
+ * results report an empty `problems` list.
+ */
+export function contestStats(standings, { binSize = 5 } = {}) {
+    const { rows } = standings;
+    const problems = (standings.problems || []).map((problem, index) => problemStats(problem, index, rows));
+    const solvedCounts = rows.map(row => (standings.problems || []).filter((problem, index) => isSolved(problem, row.problemResults[index])).length);
+    return {
+        contestId: String(standings.contest.id),
+        name: standings.contest.name,
+        phase: standings.contest.phase || 'FINISHED',
+        participants: rows.length,
+        problems,
+        solvedDistribution: problems.length === 0 ? [] : Array.from({ length: problems.length + 1 }, (_, count) => ({
+            solved: count,
+            trainers: solvedCounts.filter(solved => solved === count).length
+        })),
+        scoreDistribution: scoreDistribution(rows.map(row => row.customScore ?? 0), binSize)
+    };
+}
+
+/**
+ * Season participation by contest, in scoring order: how many trainers took part, how many were new
+ * to the season and how many returned, and `retention` — the share of the previous contest's
+ * trainers who came back. `processedContests` and `orderedIds` are as returned by `scoreSeries`.
+ */
+export function participationTrends(processedContests, orderedIds) {
+    const seen = new Set();
+    let previous = null;
+    return orderedIds.filter(id => processedContests[id]).map(contestId => {
+        const standings = processedContests[contestId];
+        const handles = new Set(standings.rows.map(handleOf));
+        const newcomers = [...handles].filter(handle => !seen.has(handle)).length;
+        const retained = previous ? [...previous].filter(handle => handles.has(handle)).length : null;
+        handles.forEach(handle => seen.add(handle));
+        const point = {
+            contestId,
+            name: standings.contest.name,
+            participants: handles.size,
+            newcomers,
+            returning: handles.size - newcomers,
+            retained,
+            retention: previous ? ratio(retained, previous.size) : null,
+            uniqueSoFar: seen.size
+        };
+        previous = handles;
+        return point;
+    });
+}
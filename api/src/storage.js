@@ -0,0 +1,71 @@
+import fs from 'fs';
+import { join } from 'path';
+
+// Records are prototype-less objects, so keys taken from URLs such as `constructor` or `__proto__` never resolve to Object builtins.
+const emptyRecords = () => Object.create(null);
+
+/**
+ * A key/value store split into named collections, each persisted as `<dir>/<collection>.json`.
+ * Collections are loaded lazily and kept in memory; writes go to a temp file and are renamed
+ * into place so a crash never leaves a half-written collection behind.
+ */
+export function createFileStore(dir) {
+    const collections = new Map();
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileFor = (collection) => join(dir, `${collection}.json`);
+
+    function load(collection) {
+        if (collections.has(collection)) return collections.get(collection);
+        const records = emptyRecords();
+        const filePath = fileFor(collection);
+        if (fs.existsSync(filePath)) {
+            try {
+                Object.assign(records, JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+            } catch (err) {
+                console.error(`[storage] could not read ${filePath}: ${err.message}`);
+            }
+        }
+        collections.set(collection, records);
+        return records;
+    }
+
+    function persist(collection) {
+        const filePath = fileFor(collection);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(load(collection), null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return {
+        get(collection, key) {
+            return load(collection)[key];
+        },
+        has(collection, key) {
+            return Object.hasOwn(load(collection), key);
+        },
+        list(collection) {
+            return Object.values(load(collection));
+        },
+        entries(collection) {
+            return Object.entries(load(collection));
+        },
+        set(collection, key, value) {
+            const records = load(collection);
+            if (JSON.stringify(records[key]) === JSON.stringify(value)) return;
+            records[key] = value;
+            persist(collection);
+        },
+        delete(collection, key) {
+            const records = load(collection);
+            if (!Object.hasOwn(records, key)) return false;
+            delete records[key];
+            persist(collection);
+            return true;
+        },
+        clear(collection) {
+            collections.set(collection, emptyRecords());
+            persist(collection);
+        }
+    };
+}
@@ -0,0 +1,76 @@
+// Achievement tests: each badge rule type on a small scored season, and validation of badge definitions.
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { awardBadges, loadAchievements } from '../src/achievements.js';
+
+const definitions = [
+    { id: 'first-ac', name: 'Thunder Badge', rule: { type: 'firstAc', min: 1 } },
+    { id: 'streak-3', name: 'Volcano Badge', rule: { type: 'streak', min: 3 } },
+    { id: 'attended-all', name: 'Boulder Badge', rule: { type: 'attendance', all: true } },
+    { id: 'top-2', name: 'Rainbow Badge', rule: { type: 'contestRank', max: 2 } },
+    { id: 'biggest-climber', name: 'Cascade Badge', rule: { type: 'climb', biggest: true } }
+];
+
+const entry = (score, rank, { streak = 1, firstAcBonus = 0 } = {}) => ({ score, rank, streak, firstAcBonus });
+
+// After contest 1: a 30, b 20, c 10. After 2: a 60, c 40, b 20. After 3: c 80, a 60, b 25.
+const season = {
+    contests: [{ id: '1', name: 'Contest 1' }, { id: '2', name: 'Contest 2' }, { id: '3', name: 'Contest 3' }],
+    orderedIds: ['1', '2', '3']
+};
+const leaderboard = [
+    { handle: 'a', contests: { 1: entry(30, 1, { firstAcBonus: 2 }), 2: entry(30, 2, { streak: 2 }) } },
+    { handle: 'b', contests: { 1: entry(20, 2), 2: entry(0, 5, { streak: 2 }), 3: entry(5, 3, { streak: 3 }) } },
+    { handle: 'c', contests: { 1: entry(10, 3), 2: entry(30, 1, { streak: 2, firstAcBonus: 4 }), 3: entry(40, 1, { streak: 3 }) } }
+];
+
+const badgesOf = (rows) => Object.fromEntries(rows.map(row => [row.handle, row.badges.map(badge => `${badge.id}: ${badge.detail}`)]));
+
+describe('awardBadges', () => {
+    test('every rule type is evaluated per trainer with a short detail', () => {
+        assert.deepEqual(badgesOf(awardBadges(leaderboard, definitions, season)), {
+            a: ['first-ac: First AC in 1 contest', 'top-2: Best finish #1 (top 2 2 times)'],
+            b: ['streak-3: Streak of 3', 'attended-all: Attended 3 of 3 contests', 'top-2: Best finish #2'],
+            c: [
+                'first-ac: First AC in 1 contest', 'streak-3: Streak of 3', 'attended-all: Attended 3 of 3 contests',
+                'top-2: Best finish #1 (top 2 2 times)', 'biggest-climber: Up 1 place after Contest 2'
+            ]
+        });
+    });
+
+    test('a climb only counts in a contest the trainer scored in', () => {
+        // b falls to third after contest 2 and scores nothing there, so no climb is credited to b.
+        const withMin = [{ id: 'climber', name: 'Climber', rule: { type: 'climb', min: 1 } }];
+        assert.deepEqual(badgesOf(awardBadges(leaderboard, withMin, season)), { a: [], b: [], c: ['climber: Up 1 place after Contest 2'] });
+    });
+
+    test('rows are returned with badges added and otherwise unchanged', () => {
+        const [row] = awardBadges(leaderboard, [], season);
+        assert.deepEqual(row, { ...leaderboard[0], badges: [] });
+    });
+});
+
+describe('loadAchievements', () => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'codemon-achievements-'));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('definitions with unknown rule types or bad parameters are skipped', () => {
+        const file = join(dir, 'achievements.json');
+        fs.writeFileSync(file, JSON.stringify([
+            ...definitions,
+            { id: 'mystery', name: 'Mystery', rule: { type: 'luck' } },
+            { id: 'no-min', name: 'Streaky', rule: { type: 'streak' } },
+            { name: 'No id', rule: { type: 'firstAc' } }
+        ]));
+        assert.deepEqual(loadAchievements(file).map(definition => definition.id), definitions.map(definition => definition.id));
+    });
+
+    test('the checked-in badges all load', () => {
+        const file = new URL('../src/achievements.json', import.meta.url);
+        assert.equal(loadAchievements(file).length, JSON.parse(fs.readFileSync(file, 'utf-8')).length);
+    });
+});
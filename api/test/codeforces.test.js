@@ -0,0 +1,149 @@
+// Codeforces client tests against a local stand-in for the API, plus record/replay against
+// test/fixtures/codeforces/, the recording directory the server replays from by default.
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { createCodeforcesClient } from '../src/codeforces.js';
+
+const RECORD_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'codeforces');
+const REPLAYED_CONTEST = '631300';
+
+const standingsBody = (contestId, phase) => ({ status: 'OK', result: { contest: { id: Number(contestId), phase }, problems: [], rows: [] } });
+
+// Answers each request with the next scripted `[status, body]` for its method, or the last one once
+// the script runs out, and logs when every request arrived.
+function fakeCodeforces() {
+    const scripts = new Map();
+    const hits = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const method = url.pathname.split('/').pop();
+        hits.push({ method, query: Object.fromEntries(url.searchParams), at: Date.now() });
+        const script = scripts.get(method) || [[404, { status: 'FAILED', comment: `Unknown method ${method}` }]];
+        const [status, body] = script.length > 1 ? script.shift() : script[0];
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(typeof body === 'function' ? body(url.searchParams) : body));
+    });
+    return {
+        hits,
+        script: (method, ...responses) => scripts.set(method, responses),
+        reset: () => { scripts.clear(); hits.length = 0; },
+        listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+describe('createCodeforcesClient', () => {
+    const api = fakeCodeforces();
+    let baseUrl;
+    before(async () => { baseUrl = await api.listen(); });
+    after(() => api.close());
+
+    const client = (options = {}) => createCodeforcesClient({ baseUrl, minIntervalMs: 60, backoffMs: 20, maxRetries: 3, ...options });
+
+    test('requests go out one at a time, at least minIntervalMs apart', async () => {
+        api.reset();
+        api.script('contest.standings', [200, (params) => standingsBody(params.get('contestId'), 'CODING')]);
+        const cf = client();
+        const results = await Promise.all(['1', '2', '3'].map(contestId => cf.fetchStandings({ contestId })));
+        assert.deepEqual(results.map(r => r.result.contest.id), [1, 2, 3]);
+        assert.equal(api.hits.length, 3);
+        for (let i = 1; i < api.hits.length; i++) assert.ok(api.hits[i].at - api.hits[i - 1].at >= 55, `gap ${i} was ${api.hits[i].at - api.hits[i - 1].at}ms`);
+    });
+
+    test('identical requests in flight share one call', async () => {
+        api.reset();
+        api.script('contest.standings', [200, standingsBody('1', 'CODING')]);
+        const cf = client();
+        await Promise.all([cf.fetchStandings({ contestId: '1' }), cf.fetchStandings({ contestId: '1' })]);
+        assert.equal(api.hits.length, 1);
+    });
+
+    test('"Call limit exceeded" is retried with a growing backoff', async () => {
+        api.reset();
+        const limited = { status: 'FAILED', comment: 'Call limit exceeded' };
+        api.script('contest.standings', [200, limited], [429, limited], [200, standingsBody('1', 'CODING')]);
+        const cf = client({ minIntervalMs: 0, backoffMs: 80 });
+        const data = await cf.fetchStandings({ contestId: '1' });
+        assert.equal(data.status, 'OK');
+        assert.equal(api.hits.length, 3);
+        const [first, second] = [api.hits[1].at - api.hits[0].at, api.hits[2].at - api.hits[1].at];
+        assert.ok(first >= 75 && second >= 155, `backoff gaps were ${first}ms and ${second}ms`);
+    });
+
+    test('call limits past maxRetries are returned as they are', async () => {
+        api.reset();
+        api.script('contest.standings', [200, { status: 'FAILED', comment: 'Call limit exceeded' }]);
+        const data = await client({ minIntervalMs: 0, backoffMs: 1, maxRetries: 2 }).fetchStandings({ contestId: '1' });
+        assert.equal(data.comment, 'Call limit exceeded');
+        assert.equal(api.hits.length, 3);
+    });
+
+    test('5xx responses are retried', async () => {
+        api.reset();
+        api.script('contest.standings', [503, { status: 'FAILED', comment: 'Service unavailable' }], [200, standingsBody('1', 'CODING')]);
+        const data = await client({ minIntervalMs: 0, backoffMs: 1 }).fetchStandings({ contestId: '1' });
+        assert.equal(data.status, 'OK');
+        assert.equal(api.hits.length, 2);
+    });
+
+    test('a rejected call, such as an unknown contest, comes back at once without retries', async () => {
+        api.reset();
+        api.script('contest.standings', [400, { status: 'FAILED', comment: 'contestId: Contest with id 999999 not found' }]);
+        const data = await client({ backoffMs: 10000 }).fetchStandings({ contestId: '999999' });
+        assert.deepEqual(data, { status: 'FAILED', comment: 'contestId: Contest with id 999999 not found' });
+        assert.equal(api.hits.length, 1);
+    });
+
+    test('errors that are neither network failures nor HTTP responses are not retried', async () => {
+        const started = Date.now();
+        await assert.rejects(createCodeforcesClient({ baseUrl: 'not a url', backoffMs: 10000 }).fetchStandings({ contestId: '1' }));
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    test('standings of finished contests are cached and running ones refetched', async () => {
+        api.reset();
+        api.script('contest.standings', [200, (params) => standingsBody(params.get('contestId'), params.get('contestId') === '1' ? 'FINISHED' : 'CODING')]);
+        const cf = client({ minIntervalMs: 0 });
+        for (let i = 0; i < 3; i++) {
+            await cf.fetchStandings({ contestId: '1' });
+            await cf.fetchStandings({ contestId: '2' });
+        }
+        assert.deepEqual(api.hits.map(hit => hit.query.contestId), ['1', '2', '2', '2']);
+    });
+
+    test('record mode writes successful responses that replay mode serves offline', async () => {
+        const dir = fs.mkdtempSync(join(os.tmpdir(), 'codemon-cf-'));
+        try {
+            api.reset();
+            api.script('contest.standings', [200, standingsBody('7', 'FINISHED')]);
+            const recorded = await client({ mode: 'record', recordDir: dir }).fetchStandings({ contestId: '7' });
+            const replayed = await createCodeforcesClient({ mode: 'replay', recordDir: dir, baseUrl: 'http://127.0.0.1:1' }).fetchStandings({ contestId: '7' });
+            assert.deepEqual(replayed, recorded);
+            assert.equal(api.hits.length, 1);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('replay from test/fixtures/codeforces', () => {
+    const cf = createCodeforcesClient({ mode: 'replay', recordDir: RECORD_DIR, baseUrl: 'http://127.0.0.1:1' });
+
+    test('recorded standings are served without touching the network', async () => {
+        const data = await cf.fetchStandings({ contestId: REPLAYED_CONTEST, showUnofficial: 'false' });
+        assert.equal(data.status, 'OK');
+        assert.equal(data.result.contest.phase, 'FINISHED');
+        assert.deepEqual(data.result.problems.map(problem => problem.index), ['A', 'B', 'C']);
+        assert.equal(data.result.rows.length, 6);
+    });
+
+    test('a request with no recording fails with the file it expected', async () => {
+        await assert.rejects(cf.fetchStandings({ contestId: '1', showUnofficial: 'false' }), /No recorded Codeforces response for contest\.standings\?contestId=1&showUnofficial=false/);
+    });
+});
@@ -0,0 +1,126 @@
+// Scoreboard freeze tests: when a contest freezes, what the public sees while it is frozen, and the
+// order results are revealed in.
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { createFileStore } from '../src/storage.js';
+import {
+    freezeTime, shouldFreeze, freezeStandings, unfreezeStandings, activeFreeze,
+    frozenView, pendingTrainers, revealResults, describeFreeze
+} from '../src/freeze.js';
+
+const START = 1_760_000_000;
+
+// `solves` are `[points, rejectedAttemptCount]` per problem.
+const row = (handle, points, penalty, solves = []) => ({
+    party: { members: [{ handle }] },
+    rank: 0,
+    points,
+    penalty,
+    problemResults: solves.map(([p, rejected]) => ({ points: p, rejectedAttemptCount: rejected }))
+});
+
+const standings = (phase, rows) => ({
+    contest: { id: 1, name: 'Contest 1', phase, startTimeSeconds: START, durationSeconds: 7200 },
+    rows: rows.map((r, index) => ({ ...r, rank: index + 1 }))
+});
+
+// a: unchanged. b: solves one more. c: solves two more and overtakes everyone. d: only a
+// rejected attempt. e: first submits after the freeze.
+const frozenRows = [row('a', 3, 100, [[1, 0], [1, 0], [1, 0]]), row('b', 2, 50, [[1, 0], [1, 0], [0, 0]]), row('c', 1, 10, [[1, 0], [0, 0], [0, 0]]), row('d', 1, 20, [[1, 0], [0, 0], [0, 0]])];
+const liveRows = [
+    row('c', 3, 90, [[1, 0], [1, 0], [1, 0]]), row('a', 3, 100, [[1, 0], [1, 0], [1, 0]]), row('b', 3, 120, [[1, 0], [1, 0], [1, 1]]),
+    row('e', 1, 5, [[1, 0], [0, 0], [0, 0]]), row('d', 1, 20, [[1, 0], [0, 1], [0, 0]])
+];
+const frozen = standings('CODING', frozenRows);
+const live = standings('FINISHED', liveRows);
+const handles = (rows) => rows.map(r => `${r.party.members[0].handle}${r.rank}`);
+
+describe('freeze schedule', () => {
+    const config = { freeze: { minutesBeforeEnd: 30 } };
+
+    test('a contest freezes minutesBeforeEnd before its scheduled end', () => {
+        assert.equal(freezeTime(config, frozen.contest), (START + 7200 - 1800) * 1000);
+        assert.equal(freezeTime({}, frozen.contest), null);
+    });
+
+    test('only a running contest past its freeze time freezes', () => {
+        const at = freezeTime(config, frozen.contest);
+        assert.equal(shouldFreeze(config, frozen, at - 1), false);
+        assert.equal(shouldFreeze(config, frozen, at), true);
+        assert.equal(shouldFreeze(config, live, at), false);
+    });
+});
+
+describe('frozen standings', () => {
+    const dataDir = fs.mkdtempSync(join(os.tmpdir(), 'codemon-freeze-'));
+    after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const store = createFileStore(dataDir);
+
+    test('the public view keeps frozen rows until each trainer is revealed', () => {
+        const state = freezeStandings(store, '1', frozen, 'admin');
+        assert.deepEqual(handles(frozenView(state, live).rows), ['a1', 'b2', 'c3', 'd4']);
+        assert.deepEqual(handles(frozenView({ ...state, revealed: ['c'] }, live).rows), ['c1', 'a2', 'b3', 'd4']);
+        assert.equal(frozenView({ ...state, completedAt: 'now' }, live), live);
+    });
+
+    test('pending trainers are those who submitted after the freeze, rejected attempts included', () => {
+        const state = activeFreeze(store, '1');
+        assert.deepEqual(pendingTrainers(state, live), ['c', 'b', 'e', 'd']);
+        assert.deepEqual(pendingTrainers({ ...state, revealed: ['e', 'd'] }, live), ['c', 'b']);
+        assert.deepEqual(describeFreeze(state, {}, frozen.contest, live).pending, ['c', 'b', 'e', 'd']);
+    });
+
+    test('unfreezing leaves a marker that is not an active freeze', () => {
+        unfreezeStandings(store, '1', 'admin');
+        assert.equal(activeFreeze(store, '1'), null);
+        assert.ok(store.has('freezes', '1'));
+        const description = describeFreeze(store.get('freezes', '1'), { freeze: { minutesBeforeEnd: 30 } }, frozen.contest);
+        assert.equal(description.frozen, false);
+        assert.ok(description.unfrozenAt);
+    });
+});
+
+describe('revealResults', () => {
+    const initial = { contestId: '1', standings: frozen, revealed: [], completedAt: null };
+
+    test('newcomers come first, then frozen rows from the bottom up, passing over unchanged results', () => {
+        const first = revealResults(initial, live);
+        assert.deepEqual(first.steps, [{ handle: 'e', fromRank: null, toRank: 3, before: null, after: { points: 1, penalty: 5, solved: 1 } }]);
+        assert.equal(first.pending, 4);
+
+        // d only had a rejected attempt, so its result is unchanged and revealed without a step.
+        const second = revealResults(first.state, live);
+        assert.deepEqual(second.steps.map(({ handle, fromRank, toRank }) => ({ handle, fromRank, toRank })), [{ handle: 'c', fromRank: 4, toRank: 1 }]);
+        assert.deepEqual(second.state.revealed, ['e', 'd', 'c']);
+
+        const third = revealResults(second.state, live);
+        assert.deepEqual(third.steps.map(({ handle, fromRank, toRank, before, after: result }) => ({ handle, fromRank, toRank, before, after: result })), [
+            { handle: 'b', fromRank: 3, toRank: 3, before: { points: 2, penalty: 50, solved: 2 }, after: { points: 3, penalty: 120, solved: 3 } }
+        ]);
+        assert.equal(third.state.completedAt, null);
+
+        const last = revealResults(third.state, live);
+        assert.deepEqual(last.steps, []);
+        assert.equal(last.pending, 0);
+        assert.ok(last.state.completedAt);
+        assert.deepEqual(handles(frozenView(last.state, live).rows), handles(live.rows));
+    });
+
+    test('all reveals every remaining result in order and completes the reveal', () => {
+        const { state, steps, pending } = revealResults(initial, live, { all: true });
+        assert.deepEqual(steps.map(step => step.handle), ['e', 'c', 'b']);
+        assert.deepEqual(state.revealed, ['e', 'd', 'c', 'b', 'a']);
+        assert.equal(pending, 0);
+        assert.ok(state.completedAt);
+    });
+
+    test('the stored state is left untouched', () => {
+        const before = JSON.stringify(initial);
+        revealResults(initial, live, { all: true });
+        assert.equal(JSON.stringify(initial), before);
+    });
+});
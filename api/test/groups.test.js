@@ -0,0 +1,81 @@
+// Group leaderboard tests: where a trainer's batch, branch and team come from, and both ways of rolling scores up.
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { readGroups, groupOf, aggregateGroups } from '../src/groups.js';
+
+describe('readGroups', () => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'codemon-groups-'));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('comments and blank lines are skipped, handles lower-cased and empty fields null', () => {
+        const file = join(dir, 'groups.txt');
+        fs.writeFileSync(file, '# organisers keep this up to date\n\nhandle,batch,branch,team\nKumar_2006,2024,CS,Team Valor\r\nry24csb1a55,,,Team Mystic\n');
+        assert.deepEqual(readGroups(file), {
+            kumar_2006: { batch: '2024', branch: 'CS', team: 'Team Valor' },
+            ry24csb1a55: { batch: null, branch: null, team: 'Team Mystic' }
+        });
+    });
+
+    test('a missing file means no explicit groups', () => {
+        assert.deepEqual(readGroups(join(dir, 'missing.txt')), {});
+    });
+});
+
+describe('groupOf', () => {
+    const groups = { kumar_2006: { batch: '2024', branch: 'CS', team: 'Team Valor' }, ry24csb1a55: { batch: null, branch: 'AI', team: null } };
+
+    test('roll-number handles carry their batch and branch', () => {
+        assert.equal(groupOf({}, 'pr23csb0a22', 'batch'), '2023');
+        assert.equal(groupOf({}, 'PR23CSB0A22', 'branch'), 'CS');
+        assert.equal(groupOf({}, 'pr23csb0a22', 'team'), null);
+    });
+
+    test('explicit groups win over the handle, field by field', () => {
+        assert.equal(groupOf(groups, 'ry24csb1a55', 'branch'), 'AI');
+        assert.equal(groupOf(groups, 'ry24csb1a55', 'batch'), '2024');
+    });
+
+    test('other handles are grouped only when listed, matched case-insensitively', () => {
+        assert.equal(groupOf(groups, 'KUMAR_2006', 'team'), 'Team Valor');
+        assert.equal(groupOf(groups, 'boringGuru374', 'batch'), null);
+    });
+});
+
+describe('aggregateGroups', () => {
+    const leaderboard = [
+        { handle: 'ab24csb0001', score: 50 },
+        { handle: 'cd24csb0002', score: 40 },
+        { handle: 'ef24csb0003', score: 10 },
+        { handle: 'gh24csb0004', score: 10 },
+        { handle: 'ij23csb0005', score: 45 },
+        { handle: 'kl23csb0006', score: 45 },
+        { handle: 'boringGuru374', score: 60 }
+    ];
+
+    test('sum adds every member and counts trainers without a group', () => {
+        const { rows, ungrouped } = aggregateGroups(leaderboard, {}, 'batch');
+        assert.deepEqual(rows.map(({ group, rank, score, memberCount }) => ({ group, rank, score, memberCount })), [
+            { group: '2024', rank: 1, score: 110, memberCount: 4 },
+            { group: '2023', rank: 2, score: 90, memberCount: 2 }
+        ]);
+        assert.equal(ungrouped, 1);
+        assert.deepEqual(rows[0].counted, ['ab24csb0001', 'cd24csb0002', 'ef24csb0003', 'gh24csb0004']);
+    });
+
+    test('topk averages the best k members; level groups share a rank', () => {
+        const { rows } = aggregateGroups(leaderboard, {}, 'batch', { method: 'topk', k: 2 });
+        assert.deepEqual(rows.map(({ group, rank, score, counted }) => ({ group, rank, score, counted })), [
+            { group: '2023', rank: 1, score: 45, counted: ['ij23csb0005', 'kl23csb0006'] },
+            { group: '2024', rank: 1, score: 45, counted: ['ab24csb0001', 'cd24csb0002'] }
+        ]);
+    });
+
+    test('topk counts missing places as zero, so a small group cannot win on its best member alone', () => {
+        const { rows } = aggregateGroups(leaderboard, {}, 'batch', { method: 'topk', k: 3 });
+        assert.deepEqual(rows.map(({ group, score }) => [group, score]), [['2024', 100 / 3], ['2023', 30]]);
+    });
+});
@@ -0,0 +1,87 @@
+// HackerRank importer tests against the checked-in CSV and JSON exports in test/fixtures/, which
+// describe the same contest: three challenges, one partial solve and two unattempted challenges.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseHackerRankExport } from '../src/hackerrank.js';
+import { loadStandings } from '../src/sources.js';
+import { calculateScoresAndStreaks } from '../src/scoring.js';
+import { resolveRules } from '../src/rules.js';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const readFixture = (file) => fs.readFileSync(join(FIXTURES_DIR, file), 'utf-8');
+
+const EXPECTED_ROWS = [
+    { rank: 1, username: 'rajbanazvx', points: 300, penalty: 6130, problemResults: [{ points: 100, bestSubmissionTimeSeconds: 400 }, { points: 100, bestSubmissionTimeSeconds: 1865 }, { points: 100, bestSubmissionTimeSeconds: 6130 }] },
+    { rank: 2, username: 'ry24csb1a55', points: 300, penalty: 6900, problemResults: [{ points: 100, bestSubmissionTimeSeconds: 312 }, { points: 100, bestSubmissionTimeSeconds: 2418 }, { points: 100, bestSubmissionTimeSeconds: 6900 }] },
+    { rank: 3, username: 'mithintisairush1', points: 250, penalty: 4800, problemResults: [{ points: 100, bestSubmissionTimeSeconds: 570 }, { points: 100, bestSubmissionTimeSeconds: 1724 }, { points: 50 }] },
+    { rank: 4, username: 'anujcrathi', points: 200, penalty: 3000, problemResults: [{ points: 100, bestSubmissionTimeSeconds: 720 }, { points: 100, bestSubmissionTimeSeconds: 3000 }, { points: 0 }] },
+    { rank: 5, username: 'all about fact', points: 100, penalty: 900, problemResults: [{ points: 100, bestSubmissionTimeSeconds: 900 }, { points: 0 }, { points: 0 }] }
+];
+
+describe('parseHackerRankExport', () => {
+    const exports = {
+        csv: parseHackerRankExport(readFixture('hackerrank-leaderboard.csv'), { format: 'csv' }),
+        json: parseHackerRankExport(readFixture('hackerrank-leaderboard.json'), { format: 'json' })
+    };
+
+    test('the CSV export names challenges by slug and takes max scores from the best result', () => {
+        assert.deepEqual(exports.csv.problems, [
+            { index: 'A', name: 'array-sum', slug: 'array-sum', maxScore: 100 },
+            { index: 'B', name: 'grid-walk', slug: 'grid-walk', maxScore: 100 },
+            { index: 'C', name: 'tree-queries', slug: 'tree-queries', maxScore: 100 }
+        ]);
+    });
+
+    test('the JSON export takes names and max scores from its challenges list', () => {
+        assert.deepEqual(exports.json.problems, [
+            { index: 'A', name: 'Array Sum', slug: 'array-sum', maxScore: 100 },
+            { index: 'B', name: 'Grid Walk', slug: 'grid-walk', maxScore: 100 },
+            { index: 'C', name: 'Tree Queries', slug: 'tree-queries', maxScore: 100 }
+        ]);
+    });
+
+    for (const [format, { rows, errors }] of Object.entries(exports)) {
+        test(`${format}: rows, times in seconds and per-challenge results`, () => {
+            assert.deepEqual(errors, []);
+            assert.deepEqual(rows, EXPECTED_ROWS);
+        });
+    }
+
+    test('HH:MM:SS times parse to seconds from the contest start', () => {
+        const [first] = exports.csv.rows;
+        assert.equal(first.penalty, 1 * 3600 + 42 * 60 + 10);
+        assert.equal(first.problemResults[1].bestSubmissionTimeSeconds, 31 * 60 + 5);
+    });
+
+    test('partial credit and unattempted challenges carry no bestSubmissionTimeSeconds', () => {
+        for (const { rows } of Object.values(exports)) {
+            const unsolved = rows.flatMap(row => row.problemResults).filter(result => result.points < 100);
+            assert.equal(unsolved.length, 4);
+            assert.ok(unsolved.every(result => !('bestSubmissionTimeSeconds' in result)));
+        }
+    });
+
+    test('malformed rows are reported with their line number and skipped', () => {
+        const content = readFixture('hackerrank-leaderboard.csv').replace('4,anujcrathi', 'x,anujcrathi');
+        const { rows, errors } = parseHackerRankExport(content, { format: 'csv' });
+        assert.deepEqual(errors, [{ line: 5, message: 'invalid rank "x"' }]);
+        assert.equal(rows.length, 4);
+    });
+});
+
+describe('first AC on HackerRank standings', () => {
+    test('a partial solve submitted earlier does not take the first AC', async () => {
+        const config = { id: '900001', name: 'Fixture Contest', platform: 'hackerrank', source: { type: 'hackerrank', file: 'hackerrank-leaderboard.csv' } };
+        const standings = await loadStandings(config.id, config, { baseDir: FIXTURES_DIR });
+        const scored = calculateScoresAndStreaks(standings, config.id, new Map(), { rules: resolveRules({ scoring: { firstAc: { bonus: [1, 10, 100] } } }) });
+        const bonus = Object.fromEntries(scored.rows.map(row => [row.party.members[0].handle, row.firstAcBonus]));
+        // Array Sum goes to ry24csb1a55 at 05:12, Grid Walk to mithintisairush1 at 28:44, and Tree Queries
+        // to rajbanazvx at 01:42:10, not to mithintisairush1's 50-point partial at 01:20:00.
+        assert.deepEqual(bonus, { rajbanazvx: 100, ry24csb1a55: 1, mithintisairush1: 10, anujcrathi: 0, 'all about fact': 0 });
+    });
+});
@@ -0,0 +1,208 @@
+// Scoring engine tests: targeted cases for each scoring rule, then golden standings for the
+// Codemon 2025 contests. After an intended rule change, regenerate the goldens with
+// `UPDATE_GOLDEN=1 npm test` and review the diff of test/golden/ like any other change.
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_RULES, loadContestConfigs, resolveRules, scoreRow } from '../src/rules.js';
+import { calculateScoresAndStreaks, scoreSeries } from '../src/scoring.js';
+import { loadStandings } from '../src/sources.js';
+import { loadSeasons } from '../src/seasons.js';
+import { createFileStore } from '../src/storage.js';
+import { seedIdentities, createIdentityRegistry } from '../src/identity.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SRC_DIR = join(__dirname, '..', 'src');
+const GOLDEN_DIR = join(__dirname, 'golden');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+// A Codeforces-shaped row; `solves` are `[points, bestSubmissionTimeSeconds]` per problem.
+function row(handle, rank, { points = 1, penalty = 0, solves = [] } = {}) {
+    return {
+        party: { members: [{ handle }] },
+        rank,
+        points,
+        penalty,
+        problemResults: solves.map(([p, time]) => ({ points: p, bestSubmissionTimeSeconds: time }))
+    };
+}
+
+const standings = (id, rows, problemCount = 0) => ({
+    contest: { id, name: `Contest ${id}`, phase: 'FINISHED' },
+    problems: Array.from({ length: problemCount }, (_, index) => ({ index: String.fromCharCode(65 + index) })),
+    rows
+});
+
+const rules = (scoring = {}) => resolveRules({ scoring });
+
+describe('scoreRow', () => {
+    test('linear points stop after the rank cutoff', () => {
+        const r = rules();
+        assert.equal(scoreRow(r, row('a', 1), 'a', new Map()).baseScore, 30);
+        assert.equal(scoreRow(r, row('a', 30), 'a', new Map()).baseScore, 1);
+        assert.equal(scoreRow(r, row('a', 31), 'a', new Map()).baseScore, 0);
+    });
+
+    // Codemon 6 kept the 31 - rank formula but cut it off at 20, so rank 20 earns 11 and rank 21 nothing.
+    test('a cutoff of 20 with offset 31 drops from 11 points straight to 0', () => {
+        const r = rules({ rankCutoff: 20, points: { type: 'linear', offset: 31 } });
+        assert.equal(scoreRow(r, row('a', 20), 'a', new Map()).baseScore, 11);
+        assert.equal(scoreRow(r, row('a', 21), 'a', new Map()).baseScore, 0);
+    });
+
+    test('table points and participation points', () => {
+        const r = rules({ points: { type: 'table', values: [10, 6, 3] }, participationPoints: 5, requireSolve: false });
+        assert.equal(scoreRow(r, row('a', 2, { points: 0 }), 'a', new Map()).baseScore, 11);
+        assert.equal(scoreRow(r, row('a', 4, { points: 0 }), 'a', new Map()).baseScore, 5);
+    });
+
+    test('requireSolve scores nothing for rows without points', () => {
+        assert.deepEqual(scoreRow(rules(), row('a', 1, { points: 0 }), 'a', new Map()), { baseScore: 0, firstAcBonus: 0, adjustments: [] });
+    });
+
+    test('config overrides and admin adjustments replace the computed score and are listed', () => {
+        const r = resolveRules(
+            { scoring: { overrides: { baseScore: { a: { value: 22.36, reason: 'rejudge' } } } } },
+            [{ id: 'x1', handle: 'a', field: 'firstAcBonus', value: 4, reason: 'missed first AC', author: 'admin' }]
+        );
+        const { baseScore, firstAcBonus, adjustments } = scoreRow(r, row('a', 5), 'a', new Map());
+        assert.equal(baseScore, 22.36);
+        assert.equal(firstAcBonus, 4);
+        assert.deepEqual(adjustments.map(({ field, before, after, source }) => ({ field, before, after, source })), [
+            { field: 'baseScore', before: 26, after: 22.36, source: 'config' },
+            { field: 'firstAcBonus', before: 0, after: 4, source: 'admin' }
+        ]);
+    });
+
+    test('a first-AC table only rewards the listed handles', () => {
+        const r = rules({ firstAc: { table: { a: 4 } } });
+        assert.equal(scoreRow(r, row('a', 3), 'a', new Map()).firstAcBonus, 4);
+        assert.equal(scoreRow(r, row('b', 1), 'b', new Map()).firstAcBonus, 0);
+    });
+
+    test('tables, overrides and adjustments match the handle in any case', () => {
+        const r = resolveRules(
+            { scoring: { firstAc: { table: { 'pranavkrizz.10': 2 } }, overrides: { baseScore: { 'PRANAVKRIZZ.10': 20 } } } },
+            [{ id: 'x1', handle: 'pranavKrizz.10', field: 'firstAcBonus', value: 5, reason: 'missed first AC', author: 'admin' }]
+        );
+        const { baseScore, firstAcBonus, adjustments } = scoreRow(r, row('Pranavkrizz.10', 1), 'Pranavkrizz.10', new Map());
+        assert.deepEqual([baseScore, firstAcBonus], [20, 5]);
+        assert.deepEqual(adjustments.map(({ field, after }) => [field, after]), [['firstAcBonus', 2], ['baseScore', 20], ['firstAcBonus', 5]]);
+    });
+});
+
+describe('calculateScoresAndStreaks', () => {
+    test('first AC goes to the earliest bestSubmissionTimeSeconds, not the best rank', () => {
+        const data = standings('1', [
+            row('fast-finisher', 1, { solves: [[1, 900], [1, 300]] }),
+            row('early-bird', 2, { solves: [[1, 120], [0, null]] })
+        ], 2);
+        const scored = calculateScoresAndStreaks(data, '1', new Map(), { rules: rules() });
+        const bonus = Object.fromEntries(scored.rows.map(r => [r.party.members[0].handle, r.firstAcBonus]));
+        assert.deepEqual(bonus, { 'fast-finisher': DEFAULT_RULES.firstAc.bonus, 'early-bird': DEFAULT_RULES.firstAc.bonus });
+    });
+
+    test('rows tied on score and penalty share a rank and the next rank is skipped', () => {
+        const data = standings('1', [row('a', 1), row('b', 1), row('c', 3)]);
+        const scored = calculateScoresAndStreaks(data, '1', new Map(), { rules: rules({ points: { type: 'table', values: [5, 5, 1] } }) });
+        assert.deepEqual(scored.rows.map(r => [r.party.members[0].handle, r.rank]), [['a', 1], ['b', 1], ['c', 3]]);
+    });
+
+    test('the streak multiplier is indexed by the streak length', () => {
+        const history = new Map();
+        const streakRules = { rules: rules() };
+        const streaksOf = (id) => calculateScoresAndStreaks(standings(id, [row('a', 1)]), id, history, streakRules).rows[0];
+        assert.deepEqual([streaksOf('1'), streaksOf('2'), streaksOf('3')].map(r => [r.streak, r.streakMultiplier]), [[1, 1], [2, 1.05], [3, 1.1]]);
+    });
+});
+
+describe('scoreSeries', () => {
+    const contests = [
+        standings('10', [row('a', 1)]),
+        standings('9', [row('a', 1)]),
+        standings('100', [row('a', 1), row('b', 2)])
+    ];
+
+    test('contests are scored by numeric contest id, whatever order they arrive in', () => {
+        const { orderedIds, leaderboard } = scoreSeries(['100', '9', '10'], contests, { rulesFor: () => rules() });
+        assert.deepEqual(orderedIds, ['9', '10', '100']);
+        const a = leaderboard.find(r => r.handle === 'a');
+        assert.deepEqual(['9', '10', '100'].map(id => a.contests[id].streak), [1, 2, 3]);
+    });
+
+    test('a position function overrides numeric order', () => {
+        const order = ['100', '10', '9'];
+        const { orderedIds } = scoreSeries(order, contests, { rulesFor: () => rules(), position: id => order.indexOf(String(id)) });
+        assert.deepEqual(orderedIds, order);
+    });
+
+    test('raw standings are left untouched', () => {
+        const before = JSON.stringify(contests);
+        scoreSeries(['9', '10', '100'], contests, { rulesFor: () => rules() });
+        assert.equal(JSON.stringify(contests), before);
+    });
+});
+
+describe('golden standings for Codemon 2025', async () => {
+    const dataDir = fs.mkdtempSync(join(os.tmpdir(), 'codemon-scoring-'));
+    after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    const store = createFileStore(dataDir);
+    seedIdentities(store, join(SRC_DIR, 'mapping.txt'));
+    const identities = createIdentityRegistry(store);
+    const configs = loadContestConfigs(join(SRC_DIR, 'contests'));
+    const season = loadSeasons(join(SRC_DIR, 'seasons')).get('codemon-2025');
+
+    const rawContests = await Promise.all(season.contestIds.map(id => loadStandings(id, configs.get(id), {
+        baseDir: SRC_DIR,
+        resolveHandle: identities.resolver(),
+        readUploaded: () => undefined,
+        fetchStandings: () => { throw new Error(`Contest ${id} should load from its checked-in file`); }
+    })));
+    const result = scoreSeries(season.contestIds, rawContests, {
+        rulesFor: (contestId) => resolveRules(configs.get(contestId), [], season.scoring),
+        position: (id) => season.contestIds.indexOf(String(id)),
+        streaks: season.streaks,
+        tieBreakers: season.tieBreakers,
+        displayName: identities.displayName
+    });
+
+    const round = (value) => +value.toFixed(4);
+
+    function matchesGolden(name, actual) {
+        const filePath = join(GOLDEN_DIR, season.id, `${name}.json`);
+        if (UPDATE_GOLDEN) {
+            fs.mkdirSync(dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, `${JSON.stringify(actual, null, 2)}\n`);
+            return;
+        }
+        assert.ok(fs.existsSync(filePath), `Missing golden file ${filePath}; run UPDATE_GOLDEN=1 npm test`);
+        assert.deepEqual(actual, JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+    }
+
+    for (const contestId of season.contestIds) {
+        test(`${configs.get(contestId).name} (${contestId})`, () => {
+            matchesGolden(contestId, result.processedContests[contestId].rows.map(r => ({
+                handle: r.party.members[0].handle,
+                rank: r.rank,
+                baseScore: round(r.baseScore),
+                firstAcBonus: round(r.firstAcBonus),
+                streak: r.streak,
+                score: round(r.customScore)
+            })));
+        });
+    }
+
+    test('cumulative leaderboard', () => {
+        matchesGolden('leaderboard', result.leaderboard.map(r => ({
+            handle: r.handle,
+            rank: r.rank,
+            score: round(r.score),
+            contests: Object.keys(r.contests).length
+        })));
+    });
+});
@@ -0,0 +1,30 @@
+// Series diff tests: which leaderboard rows are pushed to live series subscribers after a poll.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLeaderboards } from '../src/series.js';
+
+const row = (handle, rank, score, badges = []) => ({ handle, rank, score, contests: { 1: { score, rank } }, badges });
+
+describe('diffLeaderboards', () => {
+    const previous = [row('a', 1, 30), row('b', 2, 20), row('c', 3, 10)];
+
+    test('unchanged rows are left out and missing trainers are listed as removed', () => {
+        assert.deepEqual(diffLeaderboards(previous, previous.slice(0, 2)), { changes: [], removed: ['c'] });
+    });
+
+    test('rank and score moves carry the previous values and the new row', () => {
+        const next = [row('b', 1, 35), row('a', 2, 30), row('c', 3, 10), row('d', 4, 5)];
+        assert.deepEqual(diffLeaderboards(previous, next).changes.map(({ handle, previousRank, rank, scoreDelta }) => [handle, previousRank, rank, scoreDelta]), [
+            ['b', 2, 1, 15],
+            ['a', 1, 2, 0],
+            ['d', null, 4, 5]
+        ]);
+    });
+
+    test('a badge earned without a rank or score change is still sent', () => {
+        const badge = { id: 'streak-3', name: 'Volcano Badge', detail: 'Streak of 3' };
+        const { changes } = diffLeaderboards(previous, [row('a', 1, 30, [badge]), row('b', 2, 20), row('c', 3, 10)]);
+        assert.deepEqual(changes.map(change => [change.handle, change.entry.badges]), [['a', [badge]]]);
+    });
+});
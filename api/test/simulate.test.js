@@ -0,0 +1,74 @@
+// Rule simulator tests: validation of simulation requests and the comparison of two leaderboards.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSimulation, compareLeaderboards } from '../src/simulate.js';
+import { resolveStreaks } from '../src/rules.js';
+
+const season = { id: 's1', contestIds: ['1', '2'], streaks: resolveStreaks({ freezes: 1 }), tieBreakers: ['contestsAttended'] };
+
+describe('parseSimulation', () => {
+    test('a season supplies the contests, streaks and tie-breakers the rules do not replace', () => {
+        const simulation = parseSimulation({ rules: { scoring: { rankCutoff: 20 }, contests: { 2: { firstAc: { bonus: 3 } } } } }, season);
+        assert.deepEqual(simulation, {
+            contestIds: ['1', '2'],
+            scoring: { rankCutoff: 20 },
+            contests: { 2: { firstAc: { bonus: 3 } } },
+            streaks: season.streaks,
+            tieBreakers: ['contestsAttended']
+        });
+    });
+
+    test('streak rules are merged over the season and tie-breakers replaced', () => {
+        const { streaks, tieBreakers } = parseSimulation({ rules: { streaks: { multipliers: [1, 1.5] }, tieBreakers: [] } }, season);
+        assert.deepEqual(streaks.multipliers, [1, 1.5]);
+        assert.equal(streaks.freezes, 1);
+        assert.deepEqual(tieBreakers, []);
+    });
+
+    test('without a season, contestIds are required', () => {
+        assert.deepEqual(parseSimulation({ contestIds: [631207, '631208'] }).contestIds, ['631207', '631208']);
+        assert.throws(() => parseSimulation({}), /Provide a season or a non-empty contestIds array/);
+        assert.throws(() => parseSimulation({ contestIds: [] }), /Provide a season/);
+    });
+
+    const invalid = [
+        [{ rules: [] }, /rules must be an object/],
+        [{ rules: { scoring: { bonus: 1 } } }, /rules.scoring has unknown fields bonus/],
+        [{ rules: { scoring: { rankCutoff: -1 } } }, /rules.scoring.rankCutoff must be a non-negative number/],
+        [{ rules: { scoring: { points: { type: 'linear' } } } }, /rules.scoring.points must be/],
+        [{ rules: { scoring: { firstAc: { bonus: 'two' } } } }, /rules.scoring.firstAc must be/],
+        [{ rules: { contests: { 3: {} } } }, /rules.contests.3 is not one of the simulated contests/],
+        [{ rules: { streaks: { multipliers: [] } } }, /rules.streaks.multipliers must be a non-empty array/],
+        [{ rules: { streaks: { decay: 0 } } }, /rules.streaks.decay must be a positive integer or null/],
+        [{ rules: { tieBreakers: 'headToHead' } }, /rules.tieBreakers must be an array/]
+    ];
+    for (const [body, message] of invalid) {
+        test(`rejects ${JSON.stringify(body.rules)}`, () => {
+            assert.throws(() => parseSimulation(body, season), message);
+        });
+    }
+});
+
+describe('compareLeaderboards', () => {
+    test('trainers are paired in simulated order, with those only on the current board last', () => {
+        const current = [
+            { handle: 'a', displayName: 'A', rank: 1, score: 50 },
+            { handle: 'b', displayName: 'B', rank: 2, score: 40 },
+            { handle: 'gone', displayName: 'Gone', rank: 3, score: 1 }
+        ];
+        const simulated = [
+            { handle: 'b', displayName: 'B', rank: 1, score: 45 },
+            { handle: 'a', displayName: 'A', rank: 2, score: 44 },
+            { handle: 'new', displayName: 'New', rank: 3, score: 2 }
+        ];
+        assert.deepEqual(compareLeaderboards(current, simulated).map(({ handle, currentRank, simulatedRank, rankChange, scoreChange }) => (
+            { handle, currentRank, simulatedRank, rankChange, scoreChange }
+        )), [
+            { handle: 'b', currentRank: 2, simulatedRank: 1, rankChange: 1, scoreChange: 5 },
+            { handle: 'a', currentRank: 1, simulatedRank: 2, rankChange: -1, scoreChange: -6 },
+            { handle: 'new', currentRank: null, simulatedRank: 3, rankChange: null, scoreChange: 2 },
+            { handle: 'gone', currentRank: 3, simulatedRank: null, rankChange: null, scoreChange: -1 }
+        ]);
+    });
+});
@@ -0,0 +1,72 @@
+// Season snapshot tests: when stored snapshots are reused and when they are retaken.
+
+import { test, describe, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { createFileStore } from '../src/storage.js';
+import { seasonSnapshots, dropSnapshots } from '../src/snapshots.js';
+
+const season = { id: 's1', contestIds: ['1', '2'] };
+
+describe('seasonSnapshots', () => {
+    const dataDir = fs.mkdtempSync(join(os.tmpdir(), 'codemon-snapshots-'));
+    after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    let store;
+    let builds;
+    let phase;
+    let configs;
+    beforeEach(() => {
+        store = createFileStore(dataDir);
+        store.clear('snapshots');
+        builds = [];
+        phase = 'FINISHED';
+        configs = { 1: { id: '1', scoring: {} }, 2: { id: '2', scoring: {} } };
+    });
+
+    const build = async (ids) => {
+        builds.push(ids.join(','));
+        return {
+            leaderboard: [{ handle: 'a', rank: 1, score: ids.length * 10 }],
+            contests: ids.map(id => ({ id, name: `Contest ${id}`, phase }))
+        };
+    };
+    const snapshotsNow = (s = season) => seasonSnapshots(store, s, build, id => configs[id]);
+
+    test('finished snapshots are stored and served without rebuilding', async () => {
+        const first = await snapshotsNow();
+        assert.deepEqual(first.map(snapshot => [snapshot.contestId, snapshot.provisional, snapshot.standings[0].score]), [['1', false, 10], ['2', false, 20]]);
+        await snapshotsNow();
+        assert.deepEqual(builds, ['1', '1,2']);
+    });
+
+    test('snapshots with a running contest are provisional and rebuilt every time', async () => {
+        phase = 'CODING';
+        await snapshotsNow();
+        const second = await snapshotsNow();
+        assert.ok(second.every(snapshot => snapshot.provisional));
+        assert.deepEqual(builds, ['1', '1,2', '1', '1,2']);
+    });
+
+    test('editing a contest config retakes the snapshots that include it', async () => {
+        await snapshotsNow();
+        configs[2] = { ...configs[2], scoring: { rankCutoff: 20 } };
+        await snapshotsNow();
+        assert.deepEqual(builds, ['1', '1,2', '1,2']);
+    });
+
+    test('editing the season retakes all of its snapshots', async () => {
+        await snapshotsNow();
+        await snapshotsNow({ ...season, scoring: { rankCutoff: 20 } });
+        assert.deepEqual(builds, ['1', '1,2', '1', '1,2']);
+    });
+
+    test('dropping a contest retakes it and every later snapshot', async () => {
+        await snapshotsNow();
+        dropSnapshots(store, [season], '2');
+        await snapshotsNow();
+        assert.deepEqual(builds, ['1', '1,2', '1,2']);
+    });
+});
@@ -0,0 +1,90 @@
+// Contest statistics tests: per-problem statistics on the recorded Codeforces contest in
+// test/fixtures/codeforces/, and season participation on small hand-built standings.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { contestStats, participationTrends, MAX_SCORE_BINS } from '../src/stats.js';
+import { scoreSeries } from '../src/scoring.js';
+import { resolveRules } from '../src/rules.js';
+
+const RECORDING = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'codeforces', 'contest.standings_contestId=631300_showUnofficial=false.json');
+
+function scored(contests) {
+    const ids = contests.map(standings => String(standings.contest.id));
+    return scoreSeries(ids, contests, { rulesFor: () => resolveRules({}) });
+}
+
+describe('contestStats', () => {
+    const { result } = JSON.parse(fs.readFileSync(RECORDING, 'utf-8'));
+    const { processedContests } = scored([result]);
+    const stats = contestStats(processedContests['631300'], { binSize: 10 });
+
+    test('solve and attempt counts per problem, with acceptance from rejected attempts', () => {
+        assert.deepEqual(stats.problems.map(({ index, solved, attempted, rejectedAttempts }) => ({ index, solved, attempted, rejectedAttempts })), [
+            { index: 'A', solved: 5, attempted: 6, rejectedAttempts: 4 },
+            { index: 'B', solved: 3, attempted: 4, rejectedAttempts: 3 },
+            { index: 'C', solved: 2, attempted: 4, rejectedAttempts: 10 }
+        ]);
+        assert.equal(stats.problems[0].acceptanceRate, 5 / 9);
+        assert.equal(stats.problems[2].solveRate, 2 / 6);
+    });
+
+    test('trainers level on the first solve share it, and the median is the lower middle time', () => {
+        assert.deepEqual(stats.problems[0].firstSolve, { timeSeconds: 300, handles: ['boringGuru374', 'codecraft_11'] });
+        assert.equal(stats.problems[0].medianSolveSeconds, 420);
+        assert.equal(stats.problems[2].medianSolveSeconds, 5100);
+    });
+
+    test('trainers per number of problems solved', () => {
+        assert.deepEqual(stats.solvedDistribution, [
+            { solved: 0, trainers: 1 },
+            { solved: 1, trainers: 2 },
+            { solved: 2, trainers: 1 },
+            { solved: 3, trainers: 2 }
+        ]);
+    });
+
+    test('score bins cover every trainer from 0 up to the top score', () => {
+        assert.equal(stats.scoreDistribution[0].min, 0);
+        assert.equal(stats.scoreDistribution.reduce((total, bin) => total + bin.trainers, 0), 6);
+        assert.ok(stats.scoreDistribution.at(-1).max > Math.max(...processedContests['631300'].rows.map(row => row.customScore)));
+    });
+
+    test('fractional or tiny bins are rejected, and high scores widen the bins to stay within the cap', () => {
+        for (const binSize of [0.5, 1e-7, 0]) assert.throws(() => contestStats(processedContests['631300'], { binSize }), /whole number/);
+        const high = { contest: { id: 2, name: 'High scores' }, rows: [{ customScore: 12345, problemResults: [] }, { customScore: 10, problemResults: [] }] };
+        const bins = contestStats(high, { binSize: 1 }).scoreDistribution;
+        assert.ok(bins.length <= MAX_SCORE_BINS);
+        assert.ok(bins.at(-1).max > 12345);
+        assert.equal(bins.reduce((total, bin) => total + bin.trainers, 0), 2);
+    });
+
+    test('imported leaderboards without problems report no per-problem statistics', () => {
+        const imported = { contest: { id: 1, name: 'Imported' }, rows: [{ party: { members: [{ handle: 'a' }] }, rank: 1, points: 30, penalty: 0, problemResults: [] }] };
+        const result = contestStats(scored([imported]).processedContests['1']);
+        assert.deepEqual([result.problems, result.solvedDistribution, result.phase], [[], [], 'FINISHED']);
+    });
+});
+
+describe('participationTrends', () => {
+    const contest = (id, handles) => ({
+        contest: { id, name: `Contest ${id}` },
+        problems: [],
+        rows: handles.map((handle, index) => ({ party: { members: [{ handle }] }, rank: index + 1, points: 1, penalty: 0, problemResults: [] }))
+    });
+
+    test('newcomers, returning trainers and retention contest by contest', () => {
+        const { processedContests, orderedIds } = scored([contest(1, ['a', 'b', 'c', 'd']), contest(2, ['a', 'b', 'e']), contest(3, ['c', 'e', 'f'])]);
+        assert.deepEqual(participationTrends(processedContests, orderedIds).map(({ contestId, participants, newcomers, returning, retained, retention, uniqueSoFar }) => (
+            { contestId, participants, newcomers, returning, retained, retention, uniqueSoFar }
+        )), [
+            { contestId: '1', participants: 4, newcomers: 4, returning: 0, retained: null, retention: null, uniqueSoFar: 4 },
+            { contestId: '2', participants: 3, newcomers: 1, returning: 2, retained: 2, retention: 0.5, uniqueSoFar: 5 },
+            // c skipped contest 2 but is not new to the season.
+            { contestId: '3', participants: 3, newcomers: 1, returning: 2, retained: 1, retention: 1 / 3, uniqueSoFar: 6 }
+        ]);
+    });
+});
@@ -0,0 +1,5 @@
+// Runtime settings, loaded before the app. Set `apiUrl` here to point a built client at another
+// API without rebuilding, e.g. 'http://localhost:8787'; leave it empty to use the build's default.
+window.CODEMON_CONFIG = {
+  apiUrl: ''
+};
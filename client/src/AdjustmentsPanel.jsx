@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_URL } from './api';
+
+export const FIELD_LABELS = {
+  baseScore: 'Base score',
+  firstAcBonus: 'First-AC bonus',
+  entry: 'Added to leaderboard',
+  rows: 'Leaderboard rows',
+  cf: 'CodeForces handle',
+  identity: 'Identity'
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'number' ? +value.toFixed(2) : value;
+}
+
+export function describeAdjustment(adjustment) {
+  const label = FIELD_LABELS[adjustment.field] || adjustment.field;
+  if (adjustment.field === 'entry') return `${label} at rank ${adjustment.after}`;
+  return `${label}: ${formatValue(adjustment.before)} → ${formatValue(adjustment.after)}`;
+}
+
+export default function AdjustmentsPanel({ contests }) {
+  const [contestId, setContestId] = useState('');
+  const [audit, setAudit] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!contestId && contests.length > 0) setContestId(contests[0].id);
+  }, [contests]);
+
+  useEffect(() => {
+    if (!contestId) return;
+    setAudit(null);
+    setError('');
+    axios.get(`${API_URL}/api/audit`, { params: { contestId } })
+      .then(response => setAudit(response.data.result))
+      .catch(err => setError(err.response?.data?.comment || err.message));
+  }, [contestId]);
+
+  return (
+    <section className="codemon-card">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg font-semibold text-primary">Score Adjustments</h2>
+        <select className="textbox" value={contestId} onChange={e => setContestId(e.target.value)}>
+          {contests.map(c => (
+            <option key={c.id} value={c.id}>{c.name}</option>
+          ))}
+        </select>
+      </div>
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {audit && (
+        <>
+          {audit.adjustments.length === 0 ? (
+            <p className="text-secondary text-sm">No manual adjustments in this contest. Every score follows the standard rules.</p>
+          ) : (
+            <div className="overflow-auto rounded-xl border-table">
+              <table className="min-w-full text-sm">
+                <thead className="table-header">
+                  <tr>
+                    {['Trainer', 'Change', 'Reason', 'By'].map(h => (
+                      <th key={h} className="px-3 py-2 text-left font-semibold border-b border-table">{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {audit.adjustments.map((a, i) => (
+                    <tr key={`${a.handle}-${a.field}-${i}`} className="table-row">
+                      <td className="px-3 py-2 text-primary">{a.handle}</td>
+                      <td className="px-3 py-2 text-primary">{describeAdjustment(a)}</td>
+                      <td className="px-3 py-2 text-secondary">{a.reason || 'No reason recorded'}</td>
+                      <td className="px-3 py-2 text-secondary">
+                        {a.source === 'admin' ? `${a.author} · ${new Date(a.timestamp).toLocaleDateString()}` : 'Contest config'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {audit.log.length > 0 && (
+            <div className="mt-4">
+              <p className="font-semibold text-sm text-primary mb-2">History</p>
+              <ul className="space-y-1 text-xs text-secondary">
+                {audit.log.map(entry => (
+                  <li key={entry.id}>
+                    {new Date(entry.timestamp).toLocaleString()} — <span className="text-primary">{entry.author}</span> {entry.action}
+                    {entry.handle && <> for <span className="text-primary">{entry.handle}</span></>}: {describeAdjustment(entry)}
+                    {entry.reason && <> ({entry.reason})</>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,377 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_URL } from './api';
+
+const TOKEN_KEY = 'codemon-admin-token';
+
+const EMPTY_UPLOAD = { contestId: '', name: '', platform: 'hackerrank', content: '' };
+const EMPTY_IDENTITY = { id: '', displayName: '', codeforces: '', hackerrank: '', reason: '' };
+
+const splitHandles = (text) => text.split(',').map(h => h.trim()).filter(Boolean);
+const EMPTY_ADJUSTMENT = { contestId: '', handle: '', field: 'baseScore', value: '', reason: '' };
+const EMPTY_METADATA = { contestId: '', date: '', problems: '', editorial: '', notes: '' };
+
+function errorMessage(err) {
+  const data = err.response?.data;
+  if (data?.errors) {
+    return `${data.comment}: ${data.errors.map(e => `line ${e.line}: ${e.message}`).join('; ')}`;
+  }
+  return data?.comment || err.message || 'Request failed.';
+}
+
+export default function AdminPage() {
+  const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY) || '');
+  const [identities, setIdentities] = useState([]);
+  const [identityReport, setIdentityReport] = useState(null);
+  const [adjustments, setAdjustments] = useState([]);
+  const [upload, setUpload] = useState(EMPTY_UPLOAD);
+  const [identityForm, setIdentityForm] = useState(EMPTY_IDENTITY);
+  const [newAdjustment, setNewAdjustment] = useState(EMPTY_ADJUSTMENT);
+  const [metadata, setMetadata] = useState(EMPTY_METADATA);
+  const [freezeContestId, setFreezeContestId] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const admin = axios.create({
+    baseURL: `${API_URL}/api/admin`,
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  const run = async (action, successText) => {
+    setMessage(null);
+    try {
+      await action();
+      if (successText) setMessage({ type: 'success', text: successText });
+    } catch (err) {
+      setMessage({ type: 'error', text: errorMessage(err) });
+    }
+  };
+
+  const loadData = () => run(async () => {
+    const [identitiesRes, adjustmentsRes] = await Promise.all([admin.get('/identities'), admin.get('/adjustments')]);
+    setIdentities(identitiesRes.data.result);
+    setAdjustments(adjustmentsRes.data.result);
+  });
+
+  useEffect(() => {
+    if (token) loadData();
+  }, []);
+
+  const handleLogin = (e) => {
+    e.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, token);
+    loadData();
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) setUpload({ ...upload, content: await file.text() });
+  };
+
+  const handleUpload = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { contestId, ...body } = upload;
+      await admin.post(`/contests/${contestId.trim()}/leaderboard`, body);
+      setUpload(EMPTY_UPLOAD);
+    }, `Leaderboard for contest ${upload.contestId} uploaded.`);
+  };
+
+  const handleSaveIdentity = (e) => {
+    e.preventDefault();
+    const { id, displayName, codeforces, hackerrank, reason } = identityForm;
+    run(async () => {
+      await admin.put(`/identities/${encodeURIComponent(id.trim())}`, {
+        displayName,
+        handles: { codeforces: splitHandles(codeforces), hackerrank: splitHandles(hackerrank) },
+        reason
+      });
+      setIdentityForm(EMPTY_IDENTITY);
+      await loadData();
+    }, `Saved identity ${id}.`);
+  };
+
+  const editIdentity = (identity) => setIdentityForm({
+    id: identity.id,
+    displayName: identity.displayName,
+    codeforces: identity.handles.codeforces.join(', '),
+    hackerrank: identity.handles.hackerrank.join(', '),
+    reason: ''
+  });
+
+  // Starts linking a reported handle: onto its only candidate if there is one, otherwise into a blank form.
+  const linkHandle = (platform, issue) => {
+    const target = identities.find(identity => identity.id === issue.candidates[0]);
+    const base = issue.candidates.length === 1 && target
+      ? { ...EMPTY_IDENTITY, id: target.id, displayName: target.displayName, codeforces: target.handles.codeforces.join(', '), hackerrank: target.handles.hackerrank.join(', ') }
+      : EMPTY_IDENTITY;
+    const field = platform === 'hackerrank' ? 'hackerrank' : 'codeforces';
+    setIdentityForm({ ...base, [field]: [base[field], issue.handle].filter(Boolean).join(', ') });
+  };
+
+  const handleRemoveIdentity = (id) => run(async () => {
+    await admin.delete(`/identities/${encodeURIComponent(id)}`);
+    await loadData();
+  }, `Removed identity ${id}.`);
+
+  const loadIdentityReport = () => run(async () => {
+    const response = await admin.get('/identities/report');
+    setIdentityReport(response.data.result);
+  });
+
+  const handleAddAdjustment = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await admin.post('/adjustments', { ...newAdjustment, value: Number(newAdjustment.value) });
+      setNewAdjustment(EMPTY_ADJUSTMENT);
+      await loadData();
+    }, 'Adjustment added.');
+  };
+
+  const handleRemoveAdjustment = (id) => {
+    const reason = window.prompt('Why is this adjustment being removed?');
+    if (!reason) return;
+    run(async () => {
+      await admin.delete(`/adjustments/${id}`, { data: { reason } });
+      await loadData();
+    }, 'Adjustment removed.');
+  };
+
+  const loadMetadata = () => run(async () => {
+    const response = await axios.get(`${API_URL}/api/contests/${encodeURIComponent(metadata.contestId.trim())}`);
+    const { id, date, links, notes } = response.data.result;
+    setMetadata({ contestId: id, date: date || '', problems: links.problems || '', editorial: links.editorial || '', notes });
+  });
+
+  const handleSaveMetadata = (e) => {
+    e.preventDefault();
+    const { contestId, date, problems, editorial, notes } = metadata;
+    run(() => admin.put(`/contests/${encodeURIComponent(contestId.trim())}/metadata`, {
+      date: date || null,
+      links: { problems: problems || null, editorial: editorial || null },
+      notes
+    }), `Saved details for contest ${contestId}.`);
+  };
+
+  const freezePath = (suffix) => `/contests/${encodeURIComponent(freezeContestId.trim())}/${suffix}`;
+
+  const handleFreeze = () => run(() => admin.post(freezePath('freeze')), `Froze the scoreboard of contest ${freezeContestId}.`);
+
+  // Each click reveals the next trainer whose result changed since the freeze; `all` reveals the rest at once.
+  const handleReveal = (all) => run(async () => {
+    const response = await admin.post(freezePath('reveal'), { all });
+    const { steps, pending } = response.data.result;
+    const last = steps[steps.length - 1];
+    const moved = last ? `${last.handle} ${last.fromRank === null ? 'enters' : `#${last.fromRank} →`} #${last.toRank}. ` : '';
+    setMessage({ type: 'success', text: `${moved}${pending > 0 ? `${pending} trainers still hidden.` : 'Every result is revealed.'}` });
+  });
+
+  const handleUnfreeze = () => {
+    if (!window.confirm(`Show the live standings of contest ${freezeContestId} without a reveal?`)) return;
+    run(() => admin.delete(freezePath('freeze')), `Unfroze the scoreboard of contest ${freezeContestId}.`);
+  };
+
+  return (
+    <div className="space-y-6">
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold mb-4 text-primary">Admin</h2>
+        <form onSubmit={handleLogin} className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="password"
+            className="textbox"
+            placeholder="Admin token"
+            value={token}
+            onChange={e => setToken(e.target.value)}
+          />
+          <button type="submit" className="admin-button">Unlock</button>
+        </form>
+        {message && (
+          <p className={`mt-4 text-sm ${message.type === 'error' ? 'text-red-400' : 'text-emerald-400'}`}>{message.text}</p>
+        )}
+      </section>
+
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold mb-4 text-primary">Upload Contest Leaderboard</h2>
+        <form onSubmit={handleUpload} className="space-y-2">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input className="textbox" placeholder="Contest ID" value={upload.contestId} onChange={e => setUpload({ ...upload, contestId: e.target.value })} required />
+            <input className="textbox" placeholder="Display name" value={upload.name} onChange={e => setUpload({ ...upload, name: e.target.value })} />
+            <select className="textbox" value={upload.platform} onChange={e => setUpload({ ...upload, platform: e.target.value })}>
+              <option value="hackerrank">HackerRank</option>
+              <option value="codeforces">CodeForces</option>
+            </select>
+          </div>
+          <input type="file" accept=".txt,.csv,.json" onChange={handleFile} className="text-sm text-secondary" />
+          <textarea
+            className="textbox sm:w-full h-32 font-mono text-xs"
+            placeholder="rank,username"
+            value={upload.content}
+            onChange={e => setUpload({ ...upload, content: e.target.value })}
+            required
+          />
+          <button type="submit" className="admin-button">Upload</button>
+        </form>
+      </section>
+
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold mb-4 text-primary">Contest Details</h2>
+        <form onSubmit={handleSaveMetadata} className="space-y-2">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input className="textbox" placeholder="Contest ID" value={metadata.contestId} onChange={e => setMetadata({ ...metadata, contestId: e.target.value })} required />
+            <button type="button" onClick={loadMetadata} className="admin-button" disabled={!metadata.contestId.trim()}>Load</button>
+            <input type="date" className="textbox" value={metadata.date} onChange={e => setMetadata({ ...metadata, date: e.target.value })} />
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input className="textbox" placeholder="Problem set URL" value={metadata.problems} onChange={e => setMetadata({ ...metadata, problems: e.target.value })} />
+            <input className="textbox" placeholder="Editorial URL" value={metadata.editorial} onChange={e => setMetadata({ ...metadata, editorial: e.target.value })} />
+          </div>
+          <textarea
+            className="textbox sm:w-full h-28 text-sm"
+            placeholder="Notes (markdown: **bold**, `code`, [links](https://...), - lists)"
+            value={metadata.notes}
+            onChange={e => setMetadata({ ...metadata, notes: e.target.value })}
+          />
+          <button type="submit" className="admin-button">Save details</button>
+        </form>
+      </section>
+
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold mb-2 text-primary">Scoreboard Freeze</h2>
+        <p className="text-secondary text-sm mb-4">
+          Contests with <code>freeze.minutesBeforeEnd</code> in their config freeze on their own. Once the contest has finished,
+          reveal the hidden results one trainer at a time while the projector view is on screen.
+        </p>
+        <div className="flex flex-col sm:flex-row flex-wrap gap-2">
+          <input className="textbox" placeholder="Contest ID" value={freezeContestId} onChange={e => setFreezeContestId(e.target.value)} />
+          <button onClick={handleFreeze} className="admin-button" disabled={!freezeContestId.trim()}>Freeze now</button>
+          <button onClick={() => handleReveal(false)} className="admin-button" disabled={!freezeContestId.trim()}>Reveal next</button>
+          <button onClick={() => handleReveal(true)} className="admin-button" disabled={!freezeContestId.trim()}>Reveal all</button>
+          <button onClick={handleUnfreeze} className="admin-button opacity-60" disabled={!freezeContestId.trim()}>Unfreeze</button>
+          {freezeContestId.trim() && (
+            <a href={`#/projector/${encodeURIComponent(freezeContestId.trim())}`} target="_blank" rel="noreferrer" className="text-csesBlue hover:underline text-sm self-center">Open projector view</a>
+          )}
+        </div>
+      </section>
+
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold mb-4 text-primary">Trainer Identities</h2>
+        <form onSubmit={handleSaveIdentity} className="space-y-2 mb-4">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input className="textbox" placeholder="Trainer ID" value={identityForm.id} onChange={e => setIdentityForm({ ...identityForm, id: e.target.value })} required />
+            <input className="textbox" placeholder="Display name" value={identityForm.displayName} onChange={e => setIdentityForm({ ...identityForm, displayName: e.target.value })} />
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input className="textbox" placeholder="CodeForces handles (comma-separated)" value={identityForm.codeforces} onChange={e => setIdentityForm({ ...identityForm, codeforces: e.target.value })} />
+            <input className="textbox" placeholder="HackerRank handles (comma-separated)" value={identityForm.hackerrank} onChange={e => setIdentityForm({ ...identityForm, hackerrank: e.target.value })} />
+          </div>
+          <input className="textbox sm:w-full" placeholder="Reason" value={identityForm.reason} onChange={e => setIdentityForm({ ...identityForm, reason: e.target.value })} />
+          <div className="flex gap-2">
+            <button type="submit" className="admin-button">Save identity</button>
+            <button type="button" onClick={loadIdentityReport} className="admin-button">Check unmatched handles</button>
+          </div>
+        </form>
+        {identityReport && (
+          identityReport.length === 0 ? (
+            <p className="text-emerald-400 text-sm mb-4">Every handle in every contest is matched.</p>
+          ) : (
+            <div className="overflow-auto rounded-xl border-table max-h-96 mb-4">
+              <table className="min-w-full text-sm">
+                <thead className="table-header">
+                  <tr>
+                    {['Contest', 'Handle', 'Rank', 'Status', 'Candidates', ''].map((h, i) => (
+                      <th key={i} className="px-3 py-2 text-left font-semibold border-b border-table">{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {identityReport.flatMap(report => report.issues.map(issue => (
+                    <tr key={`${report.contestId}-${issue.handle}`} className="table-row">
+                      <td className="px-3 py-2 text-primary">{report.name}</td>
+                      <td className="px-3 py-2 text-primary">{issue.handle}</td>
+                      <td className="px-3 py-2 text-secondary">{issue.rank}</td>
+                      <td className={`px-3 py-2 ${issue.status === 'ambiguous' ? 'text-red-400' : 'text-amber-400'}`}>{issue.status}</td>
+                      <td className="px-3 py-2 text-secondary">{issue.candidates.join(', ') || '—'}</td>
+                      <td className="px-3 py-2 text-right">
+                        <button onClick={() => linkHandle(report.platform, issue)} className="text-csesBlue hover:underline">Link</button>
+                      </td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+            </div>
+          )
+        )}
+        <div className="overflow-auto rounded-xl border-table max-h-96">
+          <table className="min-w-full text-sm">
+            <thead className="table-header">
+              <tr>
+                {['ID', 'Display name', 'CodeForces', 'HackerRank', ''].map((h, i) => (
+                  <th key={i} className="px-3 py-2 text-left font-semibold border-b border-table">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {identities.map(identity => (
+                <tr key={identity.id} className="table-row">
+                  <td className="px-3 py-2 text-primary">{identity.id}</td>
+                  <td className="px-3 py-2 text-primary">{identity.displayName}</td>
+                  <td className="px-3 py-2 text-secondary">{identity.handles.codeforces.join(', ')}</td>
+                  <td className="px-3 py-2 text-secondary">{identity.handles.hackerrank.join(', ')}</td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    <button onClick={() => editIdentity(identity)} className="text-csesBlue hover:underline mr-3">Edit</button>
+                    <button onClick={() => handleRemoveIdentity(identity.id)} className="text-red-400 hover:underline">Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold mb-4 text-primary">Score Adjustments</h2>
+        <form onSubmit={handleAddAdjustment} className="space-y-2 mb-4">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input className="textbox" placeholder="Contest ID" value={newAdjustment.contestId} onChange={e => setNewAdjustment({ ...newAdjustment, contestId: e.target.value })} required />
+            <input className="textbox" placeholder="Trainer handle" value={newAdjustment.handle} onChange={e => setNewAdjustment({ ...newAdjustment, handle: e.target.value })} required />
+            <select className="textbox" value={newAdjustment.field} onChange={e => setNewAdjustment({ ...newAdjustment, field: e.target.value })}>
+              <option value="baseScore">Base score</option>
+              <option value="firstAcBonus">First-AC bonus</option>
+            </select>
+            <input type="number" step="any" className="textbox" placeholder="Value" value={newAdjustment.value} onChange={e => setNewAdjustment({ ...newAdjustment, value: e.target.value })} required />
+          </div>
+          <input className="textbox sm:w-full" placeholder="Reason (required)" value={newAdjustment.reason} onChange={e => setNewAdjustment({ ...newAdjustment, reason: e.target.value })} required />
+          <button type="submit" className="admin-button">Add adjustment</button>
+        </form>
+        <div className="overflow-auto rounded-xl border-table">
+          <table className="min-w-full text-sm">
+            <thead className="table-header">
+              <tr>
+                {['Contest', 'Trainer', 'Field', 'Value', 'Reason', 'By', ''].map((h, i) => (
+                  <th key={i} className="px-3 py-2 text-left font-semibold border-b border-table">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {adjustments.map(a => (
+                <tr key={a.id} className="table-row">
+                  <td className="px-3 py-2 text-primary">{a.contestId}</td>
+                  <td className="px-3 py-2 text-primary">{a.handle}</td>
+                  <td className="px-3 py-2 text-secondary">{a.field}</td>
+                  <td className="px-3 py-2 text-primary">{a.value}</td>
+                  <td className="px-3 py-2 text-secondary">{a.reason}</td>
+                  <td className="px-3 py-2 text-secondary">{a.author}</td>
+                  <td className="px-3 py-2 text-right">
+                    <button onClick={() => handleRemoveAdjustment(a.id)} className="text-red-400 hover:underline">Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {adjustments.length === 0 && (
+            <p className="text-secondary text-center text-sm p-4">No adjustments yet.</p>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+}
@@ -1,35 +1,69 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import axios from 'axios';
 import LoadingSpinner from './LoadingSpinner';
+import AdminPage from './AdminPage';
+import AdjustmentsPanel, { describeAdjustment } from './AdjustmentsPanel';
+import useHashRoute, { parseSeasonRoute, seasonPath } from './useHashRoute';
+import ProfilePage from './ProfilePage';
+import SimulatorPage from './SimulatorPage';
+import ProjectorPage from './ProjectorPage';
+import StatsPage from './StatsPage';
+import ContestPage from './ContestPage';
+import ContestNotes, { contestPath } from './ContestNotes';
+import { plainText } from './Markdown';
+import LiveStandings, { ConnectionStatus } from './LiveStandings';
+import StreakRules from './StreakRules';
+import GroupLeaderboard, { GROUP_TABS } from './GroupLeaderboard';
+import ExportMenu from './ExportMenu';
+import ClimbersCard, { RankArrow } from './ClimbersCard';
+import BadgeStrip from './Badges';
+import LeaderboardControls, { Pagination } from './LeaderboardControls';
+import TrainerCard, { rankClass, trainerIcon } from './TrainerCard';
+import useLiveSocket from './useLiveSocket';
+import useSavedHandle, { isSameHandle } from './useSavedHandle';
+import { API_URL } from './api';
+import { readCache, writeCache, isUnreachable } from './offlineCache';
+import StaleBanner from './StaleBanner';
 
-const API_URL = 'https://codemon-leaderboard.onrender.com';
+const LIVE_PHASES = ['CODING', 'PENDING_SYSTEM_TEST', 'SYSTEM_TEST'];
 
-const PODIUM_POKEMON = [
-  'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/6.png', 
-  'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/9.png', 
-  'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/3.png'  
-];
+const PAGE_SIZE = 50;
+const DEFAULT_QUERY = { search: '', sort: 'total', order: 'desc', minContests: 0, page: 1, focus: null };
 
-const POKEBALL_ICON = 'https://www.freeiconspng.com/uploads/pokeball-icon-3.png';
-
-function rankClass(rank) {
-  if (!rank) return 'text-slate-400';
-  const r = +rank;
-  if (r <= 10) return 'rank-master';
-  if (r <= 100) return 'rank-expert';
-  if (r <= 500) return 'rank-specialist';
-  if (r <= 2000) return 'rank-pupil';
-  return 'rank-newbie';
-}
+// `focus` asks the server for the page holding that trainer instead of a page number.
+const leaderboardParams = ({ search, sort, order, minContests, page, focus }) => ({
+  limit: PAGE_SIZE,
+  sort,
+  order,
+  ...(search ? { search } : {}),
+  ...(minContests ? { minContests } : {}),
+  ...(focus ? { focus } : { page })
+});
 
 export default function App() {
   const [status, setStatus] = useState('loading');
   const [leaderboard, setLeaderboard] = useState([]);
   const [contestHeaders, setContestHeaders] = useState([]);
+  const [query, setQuery] = useState(DEFAULT_QUERY);
+  const [pagination, setPagination] = useState(null);
+  const [achievements, setAchievements] = useState([]);
+  const [myHandle, setMyHandle] = useSavedHandle();
+  const [movement, setMovement] = useState(new Map());
+  const [standingsVersion, setStandingsVersion] = useState(0);
   const [error, setError] = useState('');
+  const [reloadError, setReloadError] = useState('');
+  const [seasons, setSeasons] = useState([]);
+  const [contests, setContests] = useState([]);
+  const [staleSince, setStaleSince] = useState(null);
+  const [defaultSeasonId, setDefaultSeasonId] = useState(null);
+  const [view, setView] = useState('trainers');
   const [theme, setTheme] = useState('dark');
   const [headerVisible, setHeaderVisible] = useState(true);
   const [lastScrollY, setLastScrollY] = useState(0);
+  const route = useHashRoute();
+  const { seasonId: routeSeasonId, page } = parseSeasonRoute(route);
+  const seasonId = routeSeasonId || defaultSeasonId;
+  const season = seasons.find(s => s.id === seasonId);
 
   const toggleTheme = () => {
     const newTheme = theme === 'dark' ? 'light' : 'dark';
@@ -60,9 +94,46 @@ export default function App() {
   }, [lastScrollY, theme]);
 
 
-  const fetchLeaderboard = async () => {
-    const idsToFetch = '631207,631208,631209,631210,631211,631212';
-    if (!idsToFetch || !idsToFetch.trim()) {
+  const applyCatalog = (catalog) => {
+    setSeasons(catalog.seasons);
+    setContests(catalog.contests);
+    setDefaultSeasonId(catalog.current);
+    if (!catalog.current) fetchLeaderboard(null, DEFAULT_QUERY, catalog.contests.map(c => c.id));
+  };
+
+  // Seasons and contests are discovered from the server; the last copy stands in while it is unreachable.
+  const fetchCatalog = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/catalog`);
+      writeCache('catalog', response.data.result);
+      applyCatalog(response.data.result);
+    } catch (err) {
+      console.error("Failed to fetch the catalog:", err);
+      const cached = isUnreachable(err) && readCache('catalog');
+      if (cached) {
+        setStaleSince(cached.savedAt);
+        applyCatalog(cached.data);
+        return;
+      }
+      setStatus('error');
+      setError(err.response?.data?.comment || err.message || 'Failed to connect to the server.');
+    }
+  };
+
+  // Without a season, the board covers every contest the server knows about.
+  const requestLeaderboard = (id, currentQuery, contestIds = contests.map(c => c.id)) => (id
+    ? axios.get(`${API_URL}/api/seasons/${encodeURIComponent(id)}/leaderboard`, { params: leaderboardParams(currentQuery) })
+    : axios.get(`${API_URL}/api/multiconteststandings`, { params: { contestIds: contestIds.join(','), ...leaderboardParams(currentQuery) } }));
+
+  const applyLeaderboard = (result) => {
+    setLeaderboard(result.leaderboard);
+    setContestHeaders(result.problems);
+    setPagination(result.pagination);
+    setAchievements(result.achievements || []);
+  };
+
+  const fetchLeaderboard = async (id, currentQuery, contestIds) => {
+    if (!id && !contestIds?.length && contests.length === 0) {
       setStatus('loading');
       await new Promise(resolve => setTimeout(resolve, 1000));
       setStatus('idle');
@@ -74,19 +145,19 @@ export default function App() {
 
     setStatus('loading');
     setError('');
+    setReloadError('');
     setLeaderboard([]);
 
     try {
       const timerPromise = new Promise(resolve => setTimeout(resolve, 2000));
-      const apiPromise = axios.get(`${API_URL}/api/multiconteststandings`, {
-        params: { contestIds: idsToFetch.trim() }
-      });
+      const apiPromise = requestLeaderboard(id, currentQuery, contestIds);
 
       const [response] = await Promise.all([apiPromise, timerPromise]);
 
       if (response.data.status === 'OK') {
-        setLeaderboard(response.data.result.leaderboard);
-        setContestHeaders(response.data.result.problems);
+        writeCache(`leaderboard:${id || 'all'}`, response.data.result);
+        setStaleSince(null);
+        applyLeaderboard(response.data.result);
         setStatus('success');
       } else {
         setStatus('error');
@@ -94,6 +165,13 @@ export default function App() {
       }
     } catch (err) {
       console.error("Failed to fetch leaderboard:", err);
+      const cached = isUnreachable(err) && readCache(`leaderboard:${id || 'all'}`);
+      if (cached) {
+        setStaleSince(cached.savedAt);
+        applyLeaderboard(cached.data);
+        setStatus('success');
+        return;
+      }
       setStatus('error');
       const errorMessage = err.response?.data?.comment || err.message || 'Failed to connect to the server.';
       setError(errorMessage);
@@ -101,15 +179,99 @@ export default function App() {
   };
 
   useEffect(() => {
-    fetchLeaderboard();
+    fetchCatalog();
   }, []);
 
+  // Searching, sorting and paging swap the rows in place instead of showing the full-page loader.
+  // Failures are shown above the table; with the server unreachable, the cached first page stands in.
+  const reloadLeaderboard = async (currentQuery) => {
+    try {
+      const response = await requestLeaderboard(seasonId, currentQuery);
+      applyLeaderboard(response.data.result);
+      setStaleSince(null);
+      setReloadError('');
+    } catch (err) {
+      console.error("Failed to reload leaderboard:", err);
+      const cached = isUnreachable(err) && readCache(`leaderboard:${seasonId || 'all'}`);
+      if (cached) {
+        setStaleSince(cached.savedAt);
+        applyLeaderboard(cached.data);
+      }
+      setReloadError(cached
+        ? 'Search, sorting and paging need the server, so the last saved page is shown instead.'
+        : err.response?.data?.comment || err.message || 'Failed to connect to the server.');
+    }
+  };
+
+  useEffect(() => {
+    setQuery(DEFAULT_QUERY);
+    if (seasonId) fetchLeaderboard(seasonId, DEFAULT_QUERY);
+  }, [seasonId]);
+
+  useEffect(() => {
+    if (status === 'success') reloadLeaderboard(query);
+  }, [query]);
+
+  // Places gained or lost since the previous contest, for the arrows beside each rank.
+  useEffect(() => {
+    if (!seasonId) return;
+    axios.get(`${API_URL}/api/seasons/${encodeURIComponent(seasonId)}/movement`)
+      .then(response => setMovement(new Map(response.data.result.changes.map(change => [change.handle, change.rankChange]))))
+      .catch(err => {
+        console.error("Failed to fetch rank movement:", err);
+        setMovement(new Map());
+      });
+  }, [seasonId, standingsVersion]);
+
+  const updateQuery = (changes) => setQuery(current => ({ ...current, ...changes }));
+
+  const sortBy = (key) => {
+    const order = query.sort === key && query.order === 'desc' ? 'asc' : 'desc';
+    updateQuery({ sort: key, order, page: 1, focus: null });
+  };
+
   const handleRefresh = () => {
-    fetchLeaderboard();
+    fetchLeaderboard(seasonId, query);
+    setStandingsVersion(v => v + 1);
+  };
+
+  const handleRetry = () => {
+    if (seasons.length === 0 && contests.length === 0) fetchCatalog();
+    else handleRefresh();
+  };
+
+  const handleSeasonChange = (e) => {
+    window.location.hash = seasonPath(e.target.value, page === '/' ? '' : page);
   };
 
+  const liveContests = useMemo(() => {
+    return contestHeaders.filter(h => LIVE_PHASES.includes(h.phase));
+  }, [contestHeaders]);
+
+  // While a contest in the series is running, the server pushes the cumulative table once and
+  // then only the trainers whose rank or score moved. The table shows one filtered, sorted page,
+  // so any change re-requests that page rather than patching rows that may belong elsewhere.
+  const applySeriesMessage = (message) => {
+    if ((message.type === 'series-standings' && message.data.status === 'OK') || message.type === 'series-diff') {
+      reloadLeaderboard(query);
+      setStandingsVersion(v => v + 1);
+    } else if (message.type === 'error') {
+      console.error('Live leaderboard update failed:', message.message);
+    }
+  };
+
+  const seriesConnection = useLiveSocket(
+    liveContests.length > 0 && seasonId ? `season=${encodeURIComponent(seasonId)}` : null,
+    applySeriesMessage
+  );
+
   const headers = useMemo(() => {
-    return ['Sl. No', 'Trainer', 'Total Score', ...contestHeaders.map(h => h.name)];
+    return [
+      { label: 'Sl. No' },
+      { label: 'Trainer' },
+      { label: 'Total Score', sort: 'total' },
+      ...contestHeaders.map(h => ({ label: h.name, sort: h.id, contestId: h.id, notes: h.notes }))
+    ];
   }, [contestHeaders]);
 
   if (status === 'loading') {
@@ -122,7 +284,7 @@ export default function App() {
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex flex-col md:flex-row items-center gap-4">
           <div className="flex-1 text-center md:text-left">
           <h1 className="text-4xl font-pokemon tracking-wider">
-            CodeMon&nbsp;
+            <a href={seasonPath(seasonId)}>CodeMon</a>&nbsp;
             <sub className="text-sm">
             <a href="https://csesnitw.in" target="_blank" rel="noopener noreferrer">
               <span className="by-cses">by CSE</span><span className="text-csesBlue">S</span>
@@ -133,6 +295,13 @@ export default function App() {
             <p className="text-sm text-secondary">Track streaks across multiple contests!</p>
           </div>
           <div className="flex flex-col sm:flex-row items-center gap-2 w-full md:w-auto">
+            {seasons.length > 0 && (
+              <select className="textbox" value={seasonId || ''} onChange={handleSeasonChange} aria-label="Season">
+                {seasons.map(s => (
+                  <option key={s.id} value={s.id}>{s.name}{s.status !== 'active' ? ` (${s.status})` : ''}</option>
+                ))}
+              </select>
+            )}
           <button onClick={toggleTheme} className="theme-switcher">
               <div className="pokemon gengar"></div>
               <div className="pokemon clefable"></div>
@@ -149,90 +318,174 @@ export default function App() {
                 <path d="M3 21v-5h5"/>
               </svg>
             </button>
+            <ExportMenu seasonId={seasonId} />
           </div>
         </div>
       </header>
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
-        {status === 'error' ? (
+        {page === '/admin' ? (
+          <AdminPage />
+        ) : page === '/simulate' ? (
+          <SimulatorPage season={season} />
+        ) : page.startsWith('/contest/') ? (
+          <ContestPage contestId={decodeURIComponent(page.slice('/contest/'.length))} seasonId={seasonId} />
+        ) : page === '/stats' ? (
+          <StatsPage season={season} />
+        ) : page.startsWith('/projector/') ? (
+          <ProjectorPage contestId={decodeURIComponent(page.slice('/projector/'.length))} />
+        ) : page.startsWith('/trainer/') ? (
+          <ProfilePage handle={decodeURIComponent(page.slice('/trainer/'.length))} seasonId={seasonId} />
+        ) : status === 'error' ? (
           <div className="bg-red-900/50 border border-red-700 text-red-300 p-4 rounded-xl">
             <p className="font-bold text-lg">Oops! Something went wrong.</p>
             <p className="mt-2 font-mono bg-red-900/70 p-2 rounded">{error}</p>
+            <button onClick={handleRetry} className="admin-button mt-3">Try again</button>
           </div>
         ) : (
           <>
-            <div className="grid md:grid-cols-2 gap-4">
-              <div className="note-card">
-                <p className="font-bold text-base text-amber-400">Note on Codemon Contest 1 (CodeForces):</p>
-                <p className="mt-2 text-secondary">
-                  CodeMon Contest 1 was held on CodeForces. Due to technical issues during the contest, the first-AC bonus was disabled, and ranks were determined by score only.
-                </p>
-              </div>
-              <div className="note-card">
-                <p className="font-bold text-base text-amber-400">Note on Codemon Contest 2 (HackerRank):</p>
-                <p className="mt-2 text-secondary">
-                  CodeMon Contest 2 was held on HackerRank. All participants receive a base score of 5 points. Streak bonuses are applied based on participation in previous contests.
-                </p>
-              </div>
+            {staleSince && <StaleBanner since={staleSince} onRetry={handleRetry} />}
+            <ContestNotes contests={contestHeaders} seasonId={seasonId} />
+            <StreakRules season={season} />
+            <ClimbersCard seasonId={seasonId} contests={contestHeaders} refreshKey={standingsVersion} />
+            {liveContests.map(contest => (
+              <LiveStandings key={contest.id} contest={contest} />
+            ))}
+            <div className="flex flex-wrap gap-2" role="tablist">
+              {[{ type: 'trainers', label: 'Trainers' }, ...GROUP_TABS].map(tab => (
+                <button
+                  key={tab.type}
+                  role="tab"
+                  aria-selected={view === tab.type}
+                  onClick={() => setView(tab.type)}
+                  className={`admin-button ${view === tab.type ? '' : 'opacity-60'}`}
+                >
+                  {tab.label}
+                </button>
+              ))}
             </div>
-            <section className="codemon-card">
-              <h2 className="text-lg font-semibold mb-4 text-primary">Cumulative Leaderboard</h2>
-              <div className="overflow-auto rounded-xl border-table">
-                <table className="min-w-full text-sm">
-                  <thead className="table-header">
-                    <tr>
-                      {headers.map((h, i) => (
-                        <th key={i} className="px-3 py-2 text-left font-semibold border-b border-table">{h}</th>
-                      ))}
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {leaderboard.map((row, index) => (
-                      <tr key={row.handle} className="table-row">
-                        <td className={`px-3 py-2 font-semibold ${rankClass(index + 1)}`}>{index + 1}</td>
-                        <td className="px-3 py-2">
-                          <div className="flex items-center gap-2">
-                            <img
-                              src={index < 3 ? PODIUM_POKEMON[index] : POKEBALL_ICON}
-                              alt="Trainer Icon"
-                              className="w-10 h-10 image-pixelated"
-                            />
-                            <div>
-                              <div className="font-medium text-primary">{row.handle}</div>
+            {view !== 'trainers' ? (
+              <GroupLeaderboard type={view} seasonId={seasonId} />
+            ) : (
+              <section className="codemon-card">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-lg font-semibold text-primary">
+                    {season ? season.name : 'Cumulative'} Leaderboard
+                    {liveContests.length > 0 && <span className="live-badge ml-2">LIVE</span>}
+                  </h2>
+                  {liveContests.length > 0 && <ConnectionStatus connection={seriesConnection} />}
+                </div>
+                <LeaderboardControls
+                  key={seasonId}
+                  query={query}
+                  onQueryChange={updateQuery}
+                  contestCount={contestHeaders.length}
+                  myHandle={myHandle}
+                  onMyHandleChange={setMyHandle}
+                  onFindMe={() => updateQuery({ focus: myHandle })}
+                />
+                {reloadError && <p className="text-red-400 text-sm mb-3" role="alert">{reloadError}</p>}
+                <div className="md:hidden space-y-2">
+                  {leaderboard.map(row => (
+                    <TrainerCard
+                      key={row.handle}
+                      row={row}
+                      contests={contestHeaders}
+                      seasonId={seasonId}
+                      highlighted={isSameHandle(row.handle, myHandle)}
+                      rankChange={contestHeaders.length > 1 ? movement.get(row.handle) : undefined}
+                      achievements={achievements}
+                    />
+                  ))}
+                </div>
+                <div className="hidden md:block overflow-auto rounded-xl border-table">
+                  <table className="min-w-full text-sm">
+                    <thead className="table-header">
+                      <tr>
+                        {headers.map((h, i) => (
+                          <th key={i} className="px-3 py-2 text-left font-semibold border-b border-table" title={h.notes ? plainText(h.notes) : undefined}>
+                            {h.sort ? (
+                              <button onClick={() => sortBy(h.sort)} className="font-semibold hover:underline" aria-label={`Sort by ${h.label}`}>
+                                {h.label}{query.sort === h.sort ? (query.order === 'desc' ? ' ▼' : ' ▲') : ''}
+                              </button>
+                            ) : h.label}
+                            {h.contestId && (
+                              <a href={contestPath(seasonId, h.contestId)} className={`ml-1 text-xs ${h.notes ? 'text-amber-400' : 'text-secondary'} hover:underline`} aria-label={`About ${h.label}`}>ⓘ</a>
+                            )}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {leaderboard.map((row) => (
+                        <tr key={row.handle} className={`table-row ${isSameHandle(row.handle, myHandle) ? 'highlight-me' : ''}`}>
+                          <td
+                            className={`px-3 py-2 font-semibold ${rankClass(row.rank)} ${row.rankReason ? 'cursor-help underline decoration-dotted' : ''}`}
+                            title={row.rankReason}
+                          >
+                            {row.rank}
+                            {contestHeaders.length > 1 && <RankArrow change={movement.get(row.handle)} />}
+                          </td>
+                          <td className="px-3 py-2">
+                            <div className="flex items-center gap-2">
+                              <img
+                                src={trainerIcon(row.rank)}
+                                alt="Trainer Icon"
+                                className="w-10 h-10 image-pixelated"
+                              />
+                              <div>
+                                <a href={seasonPath(seasonId, `/trainer/${encodeURIComponent(row.handle)}`)} className="font-medium text-primary hover:underline">{row.displayName || row.handle}</a>
+                                {row.displayName && row.displayName !== row.handle && <p className="text-xs text-secondary">{row.handle}</p>}
+                                <BadgeStrip badges={row.badges} achievements={achievements} />
+                              </div>
                             </div>
-                          </div>
-                        </td>
-                        <td className="px-3 py-2 font-bold text-primary">{row.score.toFixed(2)}</td>
-                        {contestHeaders.map(contestHeader => {
-                          const contest = row.contests[contestHeader.id];
-                          return (
-                            <td key={contestHeader.id} className="px-3 py-2">
-                              {contest ? (
-                                <div className="text-xs">
-                                  <div className="text-primary">Score: <span className="font-semibold">{contest.score.toFixed(2)}</span></div>
-                                  <div className="text-secondary text-[10px]">
-                                    ({contest.baseScore?.toFixed(2) || '0.00'}
-                                    +{contest.firstAcBonus?.toFixed(2) || '0.00'})
-                                    x{((contest.streakBonus / (contest.baseScore + contest.firstAcBonus)) + 1).toFixed(2) || '1.00'}
+                          </td>
+                          <td className="px-3 py-2 font-bold text-primary">{row.score.toFixed(2)}</td>
+                          {contestHeaders.map(contestHeader => {
+                            const contest = row.contests[contestHeader.id];
+                            return (
+                              <td key={contestHeader.id} className="px-3 py-2">
+                                {contest ? (
+                                  <div className="text-xs">
+                                    <div className="text-primary">
+                                      Score: <span className="font-semibold">{contest.score.toFixed(2)}</span>
+                                      {contest.adjustments && (
+                                        <span
+                                          className="ml-1 text-amber-400 cursor-help"
+                                          title={contest.adjustments.map(a => `${describeAdjustment(a)}${a.reason ? ` — ${a.reason}` : ''}`).join('\n')}
+                                        >
+                                          ✎
+                                        </span>
+                                      )}
+                                    </div>
+                                    <div className="text-secondary text-[10px]">
+                                      ({contest.baseScore?.toFixed(2) || '0.00'}
+                                      +{contest.firstAcBonus?.toFixed(2) || '0.00'})
+                                      x{(contest.streakMultiplier ?? 1).toFixed(2)}
+                                    </div>
+                                    <div className="text-primary">Rank: <span className={rankClass(contest.rank)}>{contest.rank || 'N/A'}</span></div>
+                                    <div className="text-primary">Streak: <span className="text-amber-300">{contest.streak || 0}x</span></div>
                                   </div>
-                                  <div className="text-primary">Rank: <span className={rankClass(contest.rank)}>{contest.rank || 'N/A'}</span></div>
-                                  <div className="text-primary">Streak: <span className="text-amber-300">{contest.streak || 0}x</span></div>
-                                </div>
-                              ) : (
-                                <span className="text-slate-500">—</span>
-                              )}
-                            </td>
-                          );
-                        })}
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-              {leaderboard.length === 0 && status === 'success' && (
-                <p className="text-secondary text-center text-sm mt-4">No data available for the given contest IDs. Try different IDs.</p>
-              )}
-            </section>
+                                ) : (
+                                  <span className="text-slate-500">—</span>
+                                )}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <Pagination pagination={pagination} onPageChange={page => updateQuery({ page, focus: null })} />
+                {leaderboard.length === 0 && status === 'success' && (
+                  <p className="text-secondary text-center text-sm mt-4">
+                    {query.search || query.minContests ? 'No trainers match these filters.' : 'No data available for the given contest IDs. Try different IDs.'}
+                  </p>
+                )}
+              </section>
+            )}
+            <AdjustmentsPanel contests={contestHeaders} />
           </>
         )}
       </main>
@@ -246,6 +499,9 @@ export default function App() {
               </svg>
             </a>
           </p>
+          <a href={seasonPath(seasonId, '/stats')} className="text-xs text-secondary hover:text-primary mr-3">Contest stats</a>
+          <a href={seasonPath(seasonId, '/simulate')} className="text-xs text-secondary hover:text-primary mr-3">Rules simulator</a>
+          <a href="#/admin" className="text-xs text-secondary hover:text-primary">Admin</a>
         </div>
       </footer>
     </div>
@@ -0,0 +1,48 @@
+import React from 'react';
+
+const FALLBACK_COLOR = '#94a3b8';
+
+// A gym badge: an octagonal pin in the badge's colour with a shine, greyed out until earned.
+export function GymBadge({ color, earned = true, size = 20, title }) {
+  const fill = earned ? color || FALLBACK_COLOR : 'transparent';
+  return (
+    <svg width={size} height={size} viewBox="0 0 24 24" className={`gym-badge ${earned ? '' : 'gym-badge-locked'}`} role="img" aria-label={title}>
+      <title>{title}</title>
+      <polygon points="8,1 16,1 23,8 23,16 16,23 8,23 1,16 1,8" fill={fill} stroke="#1f2937" strokeWidth="1.5" />
+      <polygon points="12,5 19,12 12,19 5,12" fill="rgba(255,255,255,0.35)" />
+      <circle cx="9" cy="8" r="1.5" fill="rgba(255,255,255,0.8)" />
+    </svg>
+  );
+}
+
+// The small row of badges shown next to a trainer on the leaderboard.
+export default function BadgeStrip({ badges, achievements }) {
+  if (!badges || badges.length === 0) return null;
+  const colorOf = (id) => achievements.find(a => a.id === id)?.color;
+  return (
+    <div className="flex items-center gap-0.5 mt-0.5">
+      {badges.map(badge => (
+        <GymBadge key={badge.id} color={colorOf(badge.id)} size={14} title={`${badge.name}: ${badge.detail}`} />
+      ))}
+    </div>
+  );
+}
+
+// Every badge of the season on the profile: earned ones in colour with what earned them, the rest locked.
+export function BadgeCase({ badges }) {
+  const earned = badges.filter(badge => badge.earned).length;
+  return (
+    <section className="codemon-card">
+      <h2 className="text-lg font-semibold mb-4 text-primary">Badge Case <span className="text-sm text-secondary">({earned}/{badges.length})</span></h2>
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4">
+        {badges.map(badge => (
+          <div key={badge.id} className={`badge-slot ${badge.earned ? '' : 'opacity-50'}`}>
+            <GymBadge color={badge.color} earned={badge.earned} size={48} title={badge.name} />
+            <p className="font-semibold text-primary text-sm mt-2">{badge.name}</p>
+            <p className="text-xs text-secondary">{badge.earned ? badge.detail : badge.description}</p>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
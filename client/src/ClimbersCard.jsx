@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_URL } from './api';
+import { seasonPath } from './useHashRoute';
+
+// ▲/▼ next to a trainer's rank: places gained or lost since the previous contest. New trainers get a dot.
+export function RankArrow({ change }) {
+  if (change === undefined) return null;
+  if (change === null) return <span className="rank-move rank-move-new" title="New this contest">●</span>;
+  if (change === 0) return null;
+  const up = change > 0;
+  return (
+    <span className={`rank-move ${up ? 'rank-move-up' : 'rank-move-down'}`} title={`${up ? 'Up' : 'Down'} ${Math.abs(change)} since the previous contest`}>
+      {up ? '▲' : '▼'}{Math.abs(change)}
+    </span>
+  );
+}
+
+// The trainers who gained the most places since a chosen contest (by default, the one before the latest).
+export default function ClimbersCard({ seasonId, contests, refreshKey }) {
+  const [from, setFrom] = useState('');
+  const [result, setResult] = useState(null);
+
+  useEffect(() => setFrom(''), [seasonId]);
+
+  useEffect(() => {
+    if (!seasonId) return;
+    axios.get(`${API_URL}/api/seasons/${encodeURIComponent(seasonId)}/movement`, { params: from ? { from } : {} })
+      .then(response => setResult(response.data.result))
+      .catch(err => {
+        console.error('Failed to fetch rank movement:', err);
+        setResult(null);
+      });
+  }, [seasonId, from, refreshKey]);
+
+  if (!result || contests.length < 2) return null;
+
+  return (
+    <section className="codemon-card">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-3">
+        <h2 className="text-lg font-semibold text-primary">Biggest Climbers</h2>
+        <label className="flex items-center gap-2 text-sm text-secondary">
+          since
+          <select className="textbox sm:w-56" value={from || result.from?.contestId || ''} onChange={e => setFrom(e.target.value)} aria-label="Compare since">
+            {contests.slice(0, -1).map(contest => (
+              <option key={contest.id} value={contest.id}>{contest.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {result.climbers.length === 0 ? (
+        <p className="text-secondary text-sm">Nobody has climbed since {result.from?.contestName}.</p>
+      ) : (
+        <ol className="space-y-2">
+          {result.climbers.map(climber => (
+            <li key={climber.handle} className="flex items-center justify-between text-sm">
+              <a href={seasonPath(seasonId, `/trainer/${encodeURIComponent(climber.handle)}`)} className="font-medium text-primary hover:underline">
+                {climber.displayName || climber.handle}
+              </a>
+              <span className="text-secondary">
+                #{climber.previousRank} → #{climber.rank}
+                <span className="rank-move rank-move-up ml-2">▲{climber.rankChange}</span>
+                <span className="ml-2">+{climber.scoreChange.toFixed(2)} pts</span>
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,26 @@
+import React from 'react';
+import Markdown from './Markdown';
+import { seasonPath } from './useHashRoute';
+
+export const PLATFORM_LABELS = { codeforces: 'CodeForces', hackerrank: 'HackerRank' };
+
+export const contestPath = (seasonId, contestId) => seasonPath(seasonId, `/contest/${encodeURIComponent(contestId)}`);
+
+// A note card for every contest whose metadata has notes, in leaderboard order.
+export default function ContestNotes({ contests, seasonId }) {
+  const noted = contests.filter(contest => contest.notes);
+  if (noted.length === 0) return null;
+  return (
+    <div className="grid md:grid-cols-2 gap-4">
+      {noted.map(contest => (
+        <div key={contest.id} className="note-card">
+          <p className="font-bold text-base text-amber-400">
+            Note on <a href={contestPath(seasonId, contest.id)} className="hover:underline">{contest.name}</a>
+            {PLATFORM_LABELS[contest.platform] && ` (${PLATFORM_LABELS[contest.platform]})`}:
+          </p>
+          <Markdown text={contest.notes} className="mt-2 text-secondary" />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import LoadingSpinner from './LoadingSpinner';
+import Markdown from './Markdown';
+import { PLATFORM_LABELS } from './ContestNotes';
+import { API_URL } from './api';
+import { seasonPath } from './useHashRoute';
+
+const LINK_LABELS = { problems: 'Problem set', editorial: 'Editorial' };
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString([], { year: 'numeric', month: 'long', day: 'numeric' });
+
+export default function ContestPage({ contestId, seasonId }) {
+  const [contest, setContest] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setContest(null);
+    setError('');
+    axios.get(`${API_URL}/api/contests/${encodeURIComponent(contestId)}`)
+      .then(response => setContest(response.data.result))
+      .catch(err => setError(err.response?.data?.comment || err.message));
+  }, [contestId]);
+
+  if (error) {
+    return (
+      <section className="codemon-card">
+        <p className="text-red-400 text-sm">{error}</p>
+        <a href={seasonPath(seasonId)} className="text-csesBlue hover:underline text-sm">Back to the leaderboard</a>
+      </section>
+    );
+  }
+  if (!contest) return <LoadingSpinner />;
+
+  const links = Object.entries(contest.links).filter(([, url]) => url);
+  return (
+    <section className="codemon-card space-y-4">
+      <div>
+        <a href={seasonPath(seasonId)} className="text-xs text-secondary hover:text-primary">← Leaderboard</a>
+        <h2 className="text-2xl font-bold text-primary mt-1">{contest.name}</h2>
+        <p className="text-secondary text-sm">
+          {PLATFORM_LABELS[contest.platform] || contest.platform}
+          {contest.date && ` · ${formatDate(contest.date)}`}
+        </p>
+      </div>
+      {links.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {links.map(([field, url]) => (
+            <a key={field} href={url} target="_blank" rel="noopener noreferrer" className="admin-button">{LINK_LABELS[field] || field}</a>
+          ))}
+        </div>
+      )}
+      {contest.notes
+        ? <div className="note-card"><Markdown text={contest.notes} className="text-secondary" /></div>
+        : <p className="text-secondary text-sm">No special notes: this contest followed the standard scoring rules.</p>}
+      <a href={seasonPath(seasonId, '/stats')} className="text-csesBlue hover:underline text-sm">Contest statistics</a>
+    </section>
+  );
+}
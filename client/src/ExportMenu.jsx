@@ -0,0 +1,26 @@
+import React from 'react';
+import { API_URL } from './api';
+
+const EXPORTS = [
+  { format: 'csv', label: 'Spreadsheet (CSV)' },
+  { format: 'json', label: 'Data (JSON)' },
+  { format: 'html', label: 'Podium report (print / PDF)' }
+];
+
+export default function ExportMenu({ seasonId }) {
+  if (!seasonId) return null;
+  const url = (format) => `${API_URL}/api/seasons/${encodeURIComponent(seasonId)}/leaderboard?format=${format}`;
+
+  return (
+    <details className="export-menu">
+      <summary className="admin-button">Export</summary>
+      <div className="export-menu-items codemon-card">
+        {EXPORTS.map(({ format, label }) => (
+          <a key={format} href={url(format)} target="_blank" rel="noopener noreferrer" className="block px-3 py-2 text-sm text-primary hover:underline">
+            {label}
+          </a>
+        ))}
+      </div>
+    </details>
+  );
+}
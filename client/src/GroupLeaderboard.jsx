@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import LoadingSpinner from './LoadingSpinner';
+import { API_URL } from './api';
+import { seasonPath } from './useHashRoute';
+
+export const GROUP_TABS = [
+  { type: 'batch', label: 'Batches', singular: 'Batch' },
+  { type: 'branch', label: 'Branches', singular: 'Branch' },
+  { type: 'team', label: 'Teams', singular: 'Team' }
+];
+
+export default function GroupLeaderboard({ type, seasonId }) {
+  const [aggregate, setAggregate] = useState('sum');
+  const [k, setK] = useState(3);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setResult(null);
+    setError('');
+    const params = { aggregate, k, ...(seasonId ? { season: seasonId } : {}) };
+    axios.get(`${API_URL}/api/groups/${type}/leaderboard`, { params })
+      .then(response => setResult(response.data.result))
+      .catch(err => setError(err.response?.data?.comment || err.message));
+  }, [type, seasonId, aggregate, k]);
+
+  const tab = GROUP_TABS.find(t => t.type === type);
+
+  return (
+    <section className="codemon-card">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg font-semibold text-primary">{tab.label} Leaderboard</h2>
+        <div className="flex items-center gap-2 text-sm">
+          <select className="textbox" value={aggregate} onChange={e => setAggregate(e.target.value)} aria-label="Aggregation">
+            <option value="sum">Total of all members</option>
+            <option value="topk">Average of top members</option>
+          </select>
+          {aggregate === 'topk' && (
+            <input
+              type="number"
+              min="1"
+              className="textbox w-20"
+              value={k}
+              onChange={e => setK(Math.max(1, parseInt(e.target.value, 10) || 1))}
+              aria-label="Members counted"
+            />
+          )}
+        </div>
+      </div>
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {!result && !error && <LoadingSpinner />}
+      {result && (
+        result.groups.length === 0 ? (
+          <p className="text-secondary text-center text-sm">No trainers have a {type} yet.</p>
+        ) : (
+          <div className="overflow-auto rounded-xl border-table">
+            <table className="min-w-full text-sm">
+              <thead className="table-header">
+                <tr>
+                  {['Rank', tab.singular, 'Score', 'Trainers', aggregate === 'topk' ? `Top ${k}` : 'Best'].map(h => (
+                    <th key={h} className="px-3 py-2 text-left font-semibold border-b border-table">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {result.groups.map(group => (
+                  <tr key={group.group} className="table-row">
+                    <td className="px-3 py-2 font-semibold text-primary">{group.rank}</td>
+                    <td className="px-3 py-2 font-medium text-primary">{group.group}</td>
+                    <td className="px-3 py-2 font-bold text-primary">{group.score.toFixed(2)}</td>
+                    <td className="px-3 py-2 text-secondary">{group.memberCount}</td>
+                    <td className="px-3 py-2 text-xs">
+                      {(aggregate === 'topk' ? group.counted : group.counted.slice(0, 3)).map((handle, i) => (
+                        <span key={handle}>
+                          {i > 0 && ', '}
+                          <a href={seasonPath(seasonId, `/trainer/${encodeURIComponent(handle)}`)} className="text-primary hover:underline">{handle}</a>
+                        </span>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      )}
+      {result && result.ungrouped > 0 && (
+        <p className="text-secondary text-xs mt-2">{result.ungrouped} trainers have no {type} on record and are not counted.</p>
+      )}
+    </section>
+  );
+}
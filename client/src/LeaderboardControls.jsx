@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Search, minimum-contests filter and the saved "me" handle above the cumulative leaderboard.
+export default function LeaderboardControls({ query, onQueryChange, contestCount, myHandle, onMyHandleChange, onFindMe }) {
+  const [search, setSearch] = useState(query.search);
+  const [handleDraft, setHandleDraft] = useState(myHandle);
+
+  useEffect(() => {
+    if (search === query.search) return undefined;
+    const timer = setTimeout(() => onQueryChange({ search, page: 1, focus: null }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => setHandleDraft(myHandle), [myHandle]);
+
+  const saveHandle = (e) => {
+    e.preventDefault();
+    onMyHandleChange(handleDraft);
+  };
+
+  return (
+    <div className="flex flex-col lg:flex-row lg:items-center gap-2 mb-4 text-sm">
+      <input
+        type="search"
+        className="textbox"
+        placeholder="Search trainers…"
+        value={search}
+        onChange={e => setSearch(e.target.value)}
+        aria-label="Search trainers"
+      />
+      <select
+        className="textbox sm:w-48"
+        value={query.minContests}
+        onChange={e => onQueryChange({ minContests: parseInt(e.target.value, 10), page: 1, focus: null })}
+        aria-label="Minimum contests attended"
+      >
+        <option value={0}>Any attendance</option>
+        {Array.from({ length: contestCount }, (_, i) => i + 1).map(n => (
+          <option key={n} value={n}>{n === contestCount ? 'Attended every contest' : `${n}+ contests`}</option>
+        ))}
+      </select>
+      <form onSubmit={saveHandle} className="flex items-center gap-2 lg:ml-auto">
+        <input
+          className="textbox sm:w-40"
+          placeholder="Your handle"
+          value={handleDraft}
+          onChange={e => setHandleDraft(e.target.value)}
+          aria-label="Your handle"
+        />
+        <button type="submit" className="admin-button whitespace-nowrap">Save</button>
+        {myHandle && (
+          <button type="button" onClick={onFindMe} className="admin-button whitespace-nowrap">Find me</button>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export function Pagination({ pagination, onPageChange }) {
+  if (!pagination || pagination.pages <= 1) return null;
+  const { page, pages, total, limit } = pagination;
+  const first = (page - 1) * limit + 1;
+  const last = Math.min(page * limit, total);
+
+  return (
+    <div className="flex items-center justify-between mt-4 text-sm text-secondary">
+      <span>{first}–{last} of {total} trainers</span>
+      <div className="flex items-center gap-2">
+        <button className="admin-button disabled:opacity-40" disabled={page <= 1} onClick={() => onPageChange(page - 1)}>Prev</button>
+        <span>Page {page} / {pages}</span>
+        <button className="admin-button disabled:opacity-40" disabled={page >= pages} onClick={() => onPageChange(page + 1)}>Next</button>
+      </div>
+    </div>
+  );
+}
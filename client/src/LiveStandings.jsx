@@ -0,0 +1,147 @@
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import useLiveSocket from './useLiveSocket';
+
+const CONNECTION_LABELS = {
+  idle: 'Offline',
+  connecting: 'Connecting…',
+  open: 'Live',
+  reconnecting: 'Reconnecting…'
+};
+
+export function ConnectionStatus({ connection }) {
+  return (
+    <span className="flex items-center gap-2 text-xs text-secondary">
+      <span className={`connection-dot connection-${connection}`} />
+      {CONNECTION_LABELS[connection]}
+    </span>
+  );
+}
+
+export const handleOf = (row) => row.party.members[0].handle;
+
+// FLIP: after `rows` change, move each row back to where it was, then let it transition to its new position.
+// Returns the ref map to register each row element under its handle.
+export function useRowFlip(rows) {
+  const rowRefs = useRef(new Map());
+  const positions = useRef(new Map());
+
+  useLayoutEffect(() => {
+    const nextPositions = new Map();
+    rowRefs.current.forEach((el, handle) => {
+      if (!el) return;
+      const top = el.offsetTop;
+      nextPositions.set(handle, top);
+      const previous = positions.current.get(handle);
+      if (previous !== undefined && previous !== top) {
+        el.style.transition = 'none';
+        el.style.transform = `translateY(${previous - top}px)`;
+        requestAnimationFrame(() => {
+          el.style.transition = 'transform 600ms ease';
+          el.style.transform = '';
+        });
+      }
+    });
+    positions.current = nextPositions;
+  }, [rows]);
+
+  return rowRefs;
+}
+
+// A short line about a contest's scoreboard freeze, or null when none is scheduled.
+export function freezeLabel(freeze) {
+  if (!freeze) return null;
+  const time = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (freeze.frozen) return `Scoreboard frozen since ${time(freeze.frozenAt)}${freeze.revealed.length > 0 ? ` · ${freeze.revealed.length} results revealed` : ''}`;
+  if (freeze.completedAt) return 'Final results';
+  if (freeze.unfrozenAt) return `Scoreboard unfrozen at ${time(freeze.unfrozenAt)}`;
+  return freeze.freezeAt ? `Scoreboard freezes at ${time(freeze.freezeAt)}` : null;
+}
+
+// A signature of the ranking, so repeated polls with unchanged standings are not treated as updates.
+const standingsSignature = (rows) => rows.map(row => `${handleOf(row)}:${row.rank}:${row.customScore}`).join('|');
+
+export default function LiveStandings({ contest }) {
+  const [rows, setRows] = useState([]);
+  const [movement, setMovement] = useState({});
+  const [freeze, setFreeze] = useState(null);
+  const [error, setError] = useState('');
+  const signature = useRef('');
+  const rowRefs = useRowFlip(rows);
+
+  const connection = useLiveSocket(`contestId=${encodeURIComponent(contest.id)}`, (message) => {
+    if (message.type === 'error') {
+      setError(message.message);
+      return;
+    }
+    if ((message.type !== 'standings' && message.type !== 'reveal') || message.data.status !== 'OK') return;
+    setError('');
+    setFreeze(message.freeze || null);
+    const nextRows = message.data.result.rows;
+    const nextSignature = standingsSignature(nextRows);
+    if (nextSignature === signature.current) return;
+
+    const previousRanks = new Map(rows.map(row => [handleOf(row), row.rank]));
+    const nextMovement = {};
+    for (const row of nextRows) {
+      const previous = previousRanks.get(handleOf(row));
+      if (previous !== undefined && previous !== row.rank) nextMovement[handleOf(row)] = previous - row.rank;
+    }
+    signature.current = nextSignature;
+    setMovement(nextMovement);
+    setRows(nextRows);
+  });
+
+  return (
+    <section className="codemon-card">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-primary">
+          <span className="live-badge">LIVE</span> {contest.name}
+        </h2>
+        <div className="flex items-center gap-3">
+          <a href={`#/projector/${encodeURIComponent(contest.id)}`} className="text-xs text-csesBlue hover:underline">Projector view</a>
+          <ConnectionStatus connection={connection} />
+        </div>
+      </div>
+      {freezeLabel(freeze) && <p className="freeze-banner mb-3">{freezeLabel(freeze)}</p>}
+      {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+      {rows.length === 0 ? (
+        <p className="text-secondary text-center text-sm">Waiting for standings…</p>
+      ) : (
+        <div className="overflow-auto rounded-xl border-table max-h-[32rem]">
+          <table className="min-w-full text-sm">
+            <thead className="table-header">
+              <tr>
+                {['Rank', 'Trainer', 'Solved', 'Score', 'Penalty'].map(h => (
+                  <th key={h} className="px-3 py-2 text-left font-semibold border-b border-table">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => {
+                const handle = handleOf(row);
+                const change = movement[handle];
+                return (
+                  <tr
+                    key={handle}
+                    ref={el => rowRefs.current.set(handle, el)}
+                    className={`table-row ${change > 0 ? 'rank-up' : change < 0 ? 'rank-down' : ''}`}
+                  >
+                    <td className="px-3 py-2 font-semibold text-primary">
+                      {row.rank}
+                      {change > 0 && <span className="ml-1 text-emerald-400 text-xs">▲{change}</span>}
+                      {change < 0 && <span className="ml-1 text-red-400 text-xs">▼{-change}</span>}
+                    </td>
+                    <td className="px-3 py-2 text-primary">{handle}</td>
+                    <td className="px-3 py-2 text-primary">{row.problemResults.filter(pr => pr.points > 0).length}</td>
+                    <td className="px-3 py-2 font-bold text-primary">{row.customScore.toFixed(2)}</td>
+                    <td className="px-3 py-2 text-secondary">{row.penalty}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,46 @@
+import React from 'react';
+
+// Inline markdown: `code`, **bold**, *italic* and [links](https://...). Anything else stays plain text.
+const INLINE = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*]+\*|\[[^\]]+\]\([^)\s]+\))/g;
+
+function renderInline(text) {
+  return text.split(INLINE).filter(Boolean).map((part, i) => {
+    if (part.startsWith('`')) return <code key={i} className="markdown-code">{part.slice(1, -1)}</code>;
+    if (part.startsWith('**')) return <strong key={i}>{part.slice(2, -2)}</strong>;
+    if (part.startsWith('*') && part.length > 2) return <em key={i}>{part.slice(1, -1)}</em>;
+    const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+    if (link && /^https?:\/\//.test(link[2])) {
+      return <a key={i} href={link[2]} target="_blank" rel="noopener noreferrer" className="text-csesBlue hover:underline">{link[1]}</a>;
+    }
+    return part;
+  });
+}
+
+// The small markdown subset contest notes use: paragraphs separated by blank lines and `-` lists.
+// Built as React elements, never as HTML, so notes cannot inject markup.
+export default function Markdown({ text, className = '' }) {
+  const blocks = text.replace(/\r/g, '').split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+  return (
+    <div className={`space-y-2 ${className}`}>
+      {blocks.map((block, i) => {
+        const lines = block.split('\n');
+        if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+          return (
+            <ul key={i} className="list-disc pl-5 space-y-0.5">
+              {lines.map((line, j) => <li key={j}>{renderInline(line.replace(/^\s*[-*]\s+/, ''))}</li>)}
+            </ul>
+          );
+        }
+        return <p key={i}>{renderInline(lines.join(' '))}</p>;
+      })}
+    </div>
+  );
+}
+
+// Notes as one line of plain text, for `title` tooltips.
+export const plainText = (text) => text
+  .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+  .replace(/[`*]/g, '')
+  .replace(/^\s*-\s+/gm, '• ')
+  .replace(/\s*\n\s*/g, ' ')
+  .trim();
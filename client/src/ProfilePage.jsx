@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import LoadingSpinner from './LoadingSpinner';
+import { API_URL } from './api';
+import { seasonPath } from './useHashRoute';
+import { BadgeCase } from './Badges';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = 32;
+
+function shortName(name) {
+  const match = name.match(/(\d+)\s*$/);
+  return match ? `C${match[1]}` : name;
+}
+
+function ScoreChart({ history }) {
+  const maxCumulative = Math.max(1, ...history.map(h => h.cumulativeScore));
+  const maxScore = Math.max(1, ...history.map(h => h.score));
+  const step = (CHART_WIDTH - CHART_PADDING * 2) / Math.max(1, history.length);
+  const plotHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const x = (i) => CHART_PADDING + step * i + step / 2;
+  const yCumulative = (value) => CHART_HEIGHT - CHART_PADDING - (value / maxCumulative) * plotHeight;
+  const barHeight = (value) => (value / maxScore) * plotHeight * 0.6;
+  const linePoints = history.map((h, i) => `${x(i)},${yCumulative(h.cumulativeScore)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label="Score over contests">
+      <line x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} className="chart-axis" />
+      {history.map((h, i) => (
+        <g key={h.contestId}>
+          <rect
+            x={x(i) - step * 0.25}
+            y={CHART_HEIGHT - CHART_PADDING - barHeight(h.score)}
+            width={step * 0.5}
+            height={barHeight(h.score)}
+            className={h.participated ? 'chart-bar' : 'chart-bar-missed'}
+          >
+            <title>{`${h.name}: ${h.score.toFixed(2)} points`}</title>
+          </rect>
+          <text x={x(i)} y={CHART_HEIGHT - CHART_PADDING + 16} textAnchor="middle" className="chart-label">{shortName(h.name)}</text>
+        </g>
+      ))}
+      <polyline points={linePoints} fill="none" className="chart-line" />
+      {history.map((h, i) => (
+        <circle key={h.contestId} cx={x(i)} cy={yCumulative(h.cumulativeScore)} r="4" className="chart-point">
+          <title>{`Total after ${h.name}: ${h.cumulativeScore.toFixed(2)}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+function RankChange({ change }) {
+  if (!change) return <span className="text-secondary">–</span>;
+  return change > 0
+    ? <span className="text-emerald-400">▲{change}</span>
+    : <span className="text-red-400">▼{-change}</span>;
+}
+
+export default function ProfilePage({ handle, seasonId }) {
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setProfile(null);
+    setError('');
+    axios.get(`${API_URL}/api/users/${encodeURIComponent(handle)}`, { params: seasonId ? { season: seasonId } : {} })
+      .then(response => setProfile(response.data.result))
+      .catch(err => setError(err.response?.data?.comment || err.message));
+  }, [handle, seasonId]);
+
+  if (error) {
+    return (
+      <div className="bg-red-900/50 border border-red-700 text-red-300 p-4 rounded-xl">
+        <p className="font-bold text-lg">Trainer not found.</p>
+        <p className="mt-2 font-mono bg-red-900/70 p-2 rounded">{error}</p>
+      </div>
+    );
+  }
+  if (!profile) return <LoadingSpinner />;
+
+  const { linkedHandles } = profile;
+
+  return (
+    <div className="space-y-6">
+      <section className="codemon-card">
+        <a href={seasonPath(seasonId)} className="text-sm text-secondary hover:text-primary">← Back to leaderboard</a>
+        <div className="mt-2 flex flex-col md:flex-row md:items-end justify-between gap-4">
+          <div>
+            <h2 className="text-3xl font-semibold text-primary">{profile.displayName}</h2>
+            {profile.displayName !== profile.handle && <p className="text-sm text-secondary">{profile.handle}</p>}
+            <p className="text-sm text-secondary mt-1">
+              {linkedHandles.codeforces.length > 0 && (
+                <>
+                  CodeForces:{' '}
+                  {linkedHandles.codeforces.map((cf, i) => (
+                    <React.Fragment key={cf}>
+                      {i > 0 && ', '}
+                      <a href={`https://codeforces.com/profile/${cf}`} target="_blank" rel="noopener noreferrer" className="text-csesBlue hover:underline">{cf}</a>
+                    </React.Fragment>
+                  ))}
+                </>
+              )}
+              {linkedHandles.codeforces.length > 0 && linkedHandles.hackerrank.length > 0 && ' · '}
+              {linkedHandles.hackerrank.length > 0 && <>HackerRank: {linkedHandles.hackerrank.join(', ')}</>}
+            </p>
+          </div>
+          <div className="flex gap-6 text-center">
+            <div>
+              <p className="text-2xl font-bold text-amber-400">#{profile.rank}</p>
+              <p className="text-xs text-secondary">Rank</p>
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-primary">{profile.score.toFixed(2)}</p>
+              <p className="text-xs text-secondary">Total Score</p>
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-primary">{profile.contestsAttended}/{profile.history.length}</p>
+              <p className="text-xs text-secondary">Contests</p>
+            </div>
+          </div>
+        </div>
+      </section>
+
+      {profile.badges?.length > 0 && <BadgeCase badges={profile.badges} />}
+
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold mb-4 text-primary">Score Over Contests</h2>
+        <ScoreChart history={profile.history} />
+      </section>
+
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold mb-4 text-primary">Contest History</h2>
+        <div className="overflow-auto rounded-xl border-table">
+          <table className="min-w-full text-sm">
+            <thead className="table-header">
+              <tr>
+                {['Contest', 'Rank', 'Base', 'First AC', 'Streak', 'Score', 'Total', 'Overall', 'Move'].map(h => (
+                  <th key={h} className="px-3 py-2 text-left font-semibold border-b border-table">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {profile.history.map(h => (
+                <tr key={h.contestId} className="table-row">
+                  <td className="px-3 py-2 text-primary">{h.name}</td>
+                  {h.participated ? (
+                    <>
+                      <td className="px-3 py-2 text-primary">{h.rank}</td>
+                      <td className="px-3 py-2 text-primary">{h.baseScore.toFixed(2)}</td>
+                      <td className="px-3 py-2 text-primary">+{h.firstAcBonus.toFixed(2)}</td>
+                      <td className="px-3 py-2 text-amber-300">{h.streak}x (x{h.streakMultiplier.toFixed(2)})</td>
+                      <td className="px-3 py-2 font-semibold text-primary">{h.score.toFixed(2)}</td>
+                    </>
+                  ) : (
+                    <td colSpan={5} className="px-3 py-2 text-slate-500">Did not participate</td>
+                  )}
+                  <td className="px-3 py-2 text-primary">{h.cumulativeScore.toFixed(2)}</td>
+                  <td className="px-3 py-2 text-primary">{h.cumulativeRank ? `#${h.cumulativeRank}` : '—'}</td>
+                  <td className="px-3 py-2"><RankChange change={h.rankChange} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </div>
+  );
+}
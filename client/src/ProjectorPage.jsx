@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import useLiveSocket from './useLiveSocket';
+import { ConnectionStatus, handleOf, useRowFlip, freezeLabel } from './LiveStandings';
+
+const HIGHLIGHT_MS = 4000;
+
+// A fullscreen board for the venue projector. While the scoreboard is frozen, trainers who submitted
+// after the freeze are marked until their results are revealed; each reveal step highlights the trainer as they move.
+export default function ProjectorPage({ contestId }) {
+  const [standings, setStandings] = useState(null);
+  const [freeze, setFreeze] = useState(null);
+  const [lastStep, setLastStep] = useState(null);
+  const [error, setError] = useState('');
+  const rows = standings?.rows || [];
+  const rowRefs = useRowFlip(rows);
+
+  const connection = useLiveSocket(`contestId=${encodeURIComponent(contestId)}`, (message) => {
+    if (message.type === 'error') {
+      setError(message.message);
+      return;
+    }
+    if ((message.type !== 'standings' && message.type !== 'reveal') || message.data.status !== 'OK') return;
+    setError('');
+    setStandings(message.data.result);
+    setFreeze(message.freeze || null);
+    if (message.type === 'reveal' && message.steps.length > 0) setLastStep(message.steps[message.steps.length - 1]);
+  });
+
+  useEffect(() => {
+    if (!lastStep) return undefined;
+    const el = rowRefs.current.get(lastStep.handle);
+    el?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    const timer = setTimeout(() => setLastStep(null), HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [lastStep]);
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) document.exitFullscreen();
+    else document.documentElement.requestFullscreen?.();
+  };
+
+  // Only trainers who submitted after the freeze have results to reveal.
+  const pending = new Set(freeze?.frozen ? freeze.pending || [] : []);
+
+  return (
+    <div className="projector">
+      <div className="flex items-center justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl md:text-5xl font-bold text-primary">{standings?.contest.name || `Contest ${contestId}`}</h1>
+          {freezeLabel(freeze) && <p className="freeze-banner mt-3 text-lg">{freezeLabel(freeze)}</p>}
+        </div>
+        <div className="flex items-center gap-4">
+          <ConnectionStatus connection={connection} />
+          <button onClick={toggleFullscreen} className="admin-button">Fullscreen</button>
+          <a href="#/" className="admin-button">Close</a>
+        </div>
+      </div>
+      {error && <p className="text-red-400 mb-4">{error}</p>}
+      {lastStep && (
+        <p className="reveal-callout mb-4">
+          {lastStep.handle}
+          {lastStep.fromRank === null ? ` enters at #${lastStep.toRank}` : ` #${lastStep.fromRank} → #${lastStep.toRank}`}
+          {lastStep.after && ` · ${lastStep.after.solved} solved`}
+        </p>
+      )}
+      {rows.length === 0 ? (
+        <p className="text-secondary text-center text-2xl mt-24">Waiting for standings…</p>
+      ) : (
+        <table className="min-w-full text-xl md:text-2xl">
+          <thead className="table-header">
+            <tr>
+              {['Rank', 'Trainer', 'Solved', 'Penalty', 'Score'].map(h => (
+                <th key={h} className="px-4 py-3 text-left font-semibold border-b border-table">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const handle = handleOf(row);
+              return (
+                <tr
+                  key={handle}
+                  ref={el => rowRefs.current.set(handle, el)}
+                  className={`table-row ${lastStep?.handle === handle ? 'reveal-highlight' : ''}`}
+                >
+                  <td className="px-4 py-3 font-bold text-primary">{row.rank}</td>
+                  <td className="px-4 py-3 text-primary">
+                    {handle}
+                    {pending.has(handle) && <span className="pending-badge ml-3" title="Submitted after the freeze; result hidden until the reveal">?</span>}
+                  </td>
+                  <td className="px-4 py-3 text-primary">{row.problemResults.filter(pr => pr.points > 0).length}</td>
+                  <td className="px-4 py-3 text-secondary">{row.penalty}</td>
+                  <td className="px-4 py-3 font-bold text-primary">{row.customScore.toFixed(2)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
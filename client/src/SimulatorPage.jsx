@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import LoadingSpinner from './LoadingSpinner';
+import { API_URL } from './api';
+import { describeStreakRules } from './StreakRules';
+
+// Blank scoring fields keep each contest's own rule; streak fields start from the season's rules.
+const emptyForm = (season) => ({
+  rankCutoff: '',
+  pointsOffset: '',
+  firstAcBonus: '',
+  participationPoints: '',
+  multipliers: (season?.streaks?.multipliers || [1, 1, 1.05, 1.10, 1.15]).join(', '),
+  participation: season?.streaks?.participation || 'score',
+  freezes: String(season?.streaks?.freezes ?? 0)
+});
+
+function buildRules(form) {
+  const scoring = {};
+  if (form.rankCutoff !== '') scoring.rankCutoff = Number(form.rankCutoff);
+  if (form.pointsOffset !== '') scoring.points = { type: 'linear', offset: Number(form.pointsOffset) };
+  if (form.firstAcBonus !== '') scoring.firstAc = { bonus: Number(form.firstAcBonus) };
+  if (form.participationPoints !== '') scoring.participationPoints = Number(form.participationPoints);
+  return {
+    scoring,
+    streaks: {
+      multipliers: form.multipliers.split(',').map(value => Number(value.trim())).filter(value => !Number.isNaN(value)),
+      participation: form.participation,
+      freezes: parseInt(form.freezes, 10) || 0
+    }
+  };
+}
+
+function RankChange({ change }) {
+  if (change === null) return <span className="text-secondary">new</span>;
+  if (!change) return <span className="text-secondary">–</span>;
+  return change > 0
+    ? <span className="text-emerald-400">▲{change}</span>
+    : <span className="text-red-400">▼{-change}</span>;
+}
+
+const SCORING_FIELDS = [
+  { name: 'rankCutoff', label: 'Rank cutoff', placeholder: 'e.g. 30' },
+  { name: 'pointsOffset', label: 'Points = offset − rank', placeholder: 'e.g. 31' },
+  { name: 'firstAcBonus', label: 'First-AC bonus', placeholder: 'e.g. 2' },
+  { name: 'participationPoints', label: 'Participation points', placeholder: 'e.g. 0' }
+];
+
+export default function SimulatorPage({ season }) {
+  const [form, setForm] = useState(() => emptyForm(season));
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+  const [moversOnly, setMoversOnly] = useState(true);
+
+  useEffect(() => {
+    setForm(emptyForm(season));
+    setResult(null);
+  }, [season?.id]);
+
+  const update = (name) => (e) => setForm(current => ({ ...current, [name]: e.target.value }));
+
+  const runSimulation = async (e) => {
+    e.preventDefault();
+    setRunning(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_URL}/api/simulate`, { season: season?.id, rules: buildRules(form) });
+      setResult(response.data.result);
+    } catch (err) {
+      setError(err.response?.data?.comment || err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const rows = result ? result.changes.filter(change => !moversOnly || change.rankChange !== 0) : [];
+
+  return (
+    <div className="space-y-6">
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold text-primary mb-1">Scoring Simulator</h2>
+        <p className="text-secondary text-sm mb-4">
+          Try alternate rules on {season ? season.name : 'the season'} and compare the result with the published leaderboard. Nothing is saved.
+        </p>
+        <form onSubmit={runSimulation} className="space-y-4 text-sm">
+          <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
+            {SCORING_FIELDS.map(field => (
+              <label key={field.name} className="flex flex-col gap-1 text-secondary">
+                {field.label}
+                <input type="number" step="any" className="textbox sm:w-full" placeholder={field.placeholder} value={form[field.name]} onChange={update(field.name)} />
+              </label>
+            ))}
+          </div>
+          <p className="text-secondary text-xs">Leave a scoring field blank to keep each contest's own rule. Values you enter apply to every contest.</p>
+          <div className="grid sm:grid-cols-3 gap-3">
+            <label className="flex flex-col gap-1 text-secondary">
+              Streak multipliers
+              <input className="textbox sm:w-full" value={form.multipliers} onChange={update('multipliers')} placeholder="1, 1, 1.05, 1.10, 1.15" />
+            </label>
+            <label className="flex flex-col gap-1 text-secondary">
+              Streak counts a contest when
+              <select className="textbox sm:w-full" value={form.participation} onChange={update('participation')}>
+                <option value="score">the trainer scores points</option>
+                <option value="attended">the trainer takes part</option>
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 text-secondary">
+              Streak freezes per season
+              <input type="number" min="0" className="textbox sm:w-full" value={form.freezes} onChange={update('freezes')} />
+            </label>
+          </div>
+          <div className="flex items-center gap-2">
+            <button type="submit" className="admin-button" disabled={running}>{running ? 'Simulating…' : 'Simulate'}</button>
+            <button type="button" className="admin-button opacity-60" onClick={() => setForm(emptyForm(season))}>Reset</button>
+          </div>
+        </form>
+        {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+      </section>
+
+      {running && !result && <LoadingSpinner />}
+      {result && (
+        <section className="codemon-card">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-3">
+            <div>
+              <h2 className="text-lg font-semibold text-primary">{result.moved} trainers change rank</h2>
+              {result.rules.streaks?.multipliers && (
+                <p className="text-secondary text-xs">{describeStreakRules(result.rules.streaks).join(' ')}</p>
+              )}
+            </div>
+            <label className="flex items-center gap-2 text-sm text-secondary">
+              <input type="checkbox" checked={moversOnly} onChange={e => setMoversOnly(e.target.checked)} />
+              Only trainers who move
+            </label>
+          </div>
+          <div className="overflow-auto rounded-xl border-table">
+            <table className="min-w-full text-sm">
+              <thead className="table-header">
+                <tr>
+                  {['Trainer', 'Current', 'Simulated', 'Change'].map(h => (
+                    <th key={h} className="px-3 py-2 text-left font-semibold border-b border-table">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(change => (
+                  <tr key={change.handle} className="table-row">
+                    <td className="px-3 py-2 font-medium text-primary">{change.displayName || change.handle}</td>
+                    <td className="px-3 py-2 text-secondary">#{change.currentRank ?? '–'} · {change.currentScore.toFixed(2)}</td>
+                    <td className="px-3 py-2 text-primary">#{change.simulatedRank ?? '–'} · {change.simulatedScore.toFixed(2)}</td>
+                    <td className="px-3 py-2">
+                      <RankChange change={change.rankChange} />
+                      {Math.abs(change.scoreChange) > 1e-9 && (
+                        <span className="text-secondary text-xs ml-2">{change.scoreChange > 0 ? '+' : ''}{change.scoreChange.toFixed(2)} pts</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {rows.length === 0 && <p className="text-secondary text-center text-sm mt-4">No trainer changes rank under these rules.</p>}
+        </section>
+      )}
+    </div>
+  );
+}
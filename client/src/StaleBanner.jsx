@@ -0,0 +1,14 @@
+import React from 'react';
+
+// Shown while the leaderboard comes from the offline cache because the API could not be reached.
+export default function StaleBanner({ since, onRetry }) {
+  const savedAt = new Date(since).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  return (
+    <div className="stale-banner flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+      <p className="text-sm">
+        <span className="font-bold">Can't reach the server.</span> Showing the last saved standings from {savedAt}; they may be out of date.
+      </p>
+      <button onClick={onRetry} className="admin-button self-start sm:self-auto">Retry</button>
+    </div>
+  );
+}
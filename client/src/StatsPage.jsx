@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import LoadingSpinner from './LoadingSpinner';
+import { API_URL } from './api';
+
+const percent = (value) => (value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`);
+
+const formatTime = (seconds) => {
+  if (seconds === null || seconds === undefined) return '–';
+  const minutes = Math.floor(seconds / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+// Horizontal bars, each scaled against the largest value.
+function BarList({ items }) {
+  const max = Math.max(1, ...items.map(item => item.value));
+  return (
+    <div className="space-y-1.5">
+      {items.map(item => (
+        <div key={item.label} className="flex items-center gap-3 text-sm">
+          <span className="w-20 text-secondary text-right shrink-0">{item.label}</span>
+          <div className="flex-1 h-4 rounded stat-track">
+            <div className="h-4 rounded stat-bar" style={{ width: `${(item.value / max) * 100}%` }} />
+          </div>
+          <span className="w-10 text-primary font-semibold">{item.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ParticipationChart({ contests }) {
+  const max = Math.max(1, ...contests.map(contest => contest.participants));
+  return (
+    <div>
+      <div className="flex items-end gap-3 h-48">
+        {contests.map(contest => (
+          <div key={contest.contestId} className="flex-1 flex flex-col justify-end h-full" title={`${contest.returning} returning, ${contest.newcomers} new`}>
+            <span className="text-xs text-primary text-center font-semibold mb-1">{contest.participants}</span>
+            <div className="stat-bar-new rounded-t" style={{ height: `${(contest.newcomers / max) * 100}%` }} />
+            <div className="stat-bar" style={{ height: `${(contest.returning / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-3 mt-2">
+        {contests.map(contest => (
+          <div key={contest.contestId} className="flex-1 text-center text-xs">
+            <p className="text-primary truncate" title={contest.name}>{contest.name}</p>
+            <p className="text-secondary">{contest.retention === null ? 'first' : `${percent(contest.retention)} kept`}</p>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-4 text-xs text-secondary mt-3">
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded stat-bar" /> Returning</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded stat-bar-new" /> New to the season</span>
+      </div>
+    </div>
+  );
+}
+
+function ContestStats({ stats }) {
+  return (
+    <div className="space-y-6">
+      <p className="text-secondary text-sm">
+        {stats.participants} trainers
+        {stats.participation && ` · ${stats.participation.newcomers} new, ${stats.participation.returning} returning`}
+      </p>
+      {stats.problems.length === 0 ? (
+        <p className="text-secondary text-sm">This contest was imported without per-problem results, so only the score spread is available.</p>
+      ) : (
+        <div className="overflow-auto rounded-xl border-table">
+          <table className="min-w-full text-sm">
+            <thead className="table-header">
+              <tr>
+                {['Problem', 'Solved', 'Attempted', 'Solve rate', 'Acceptance', 'First solve', 'Median solve'].map(h => (
+                  <th key={h} className="px-3 py-2 text-left font-semibold border-b border-table">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {stats.problems.map(problem => (
+                <tr key={problem.index} className="table-row">
+                  <td className="px-3 py-2 text-primary font-medium">{problem.index}. {problem.name}</td>
+                  <td className="px-3 py-2 text-primary">{problem.solved}</td>
+                  <td className="px-3 py-2 text-secondary">{problem.attempted}</td>
+                  <td className="px-3 py-2 text-primary">{percent(problem.solveRate)}</td>
+                  <td className="px-3 py-2 text-secondary" title={problem.rejectedAttempts === null ? 'Needs rejected attempt counts from Codeforces' : `${problem.rejectedAttempts} rejected attempts`}>
+                    {percent(problem.acceptanceRate)}
+                  </td>
+                  <td className="px-3 py-2 text-secondary">
+                    {problem.firstSolve ? `${formatTime(problem.firstSolve.timeSeconds)} · ${problem.firstSolve.handles.join(', ')}` : '–'}
+                  </td>
+                  <td className="px-3 py-2 text-secondary">{formatTime(problem.medianSolveSeconds)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="grid md:grid-cols-2 gap-6">
+        {stats.solvedDistribution.length > 0 && (
+          <div>
+            <h3 className="font-semibold text-primary mb-3">Problems solved</h3>
+            <BarList items={stats.solvedDistribution.map(bin => ({ label: `${bin.solved} solved`, value: bin.trainers }))} />
+          </div>
+        )}
+        <div>
+          <h3 className="font-semibold text-primary mb-3">Score distribution</h3>
+          <BarList items={stats.scoreDistribution.map(bin => ({ label: `${bin.min}–${bin.max}`, value: bin.trainers }))} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Organiser analytics: season participation, then per-problem statistics for one contest at a time.
+export default function StatsPage({ season }) {
+  const [participation, setParticipation] = useState(null);
+  const [contestId, setContestId] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!season) return;
+    setParticipation(null);
+    axios.get(`${API_URL}/api/seasons/${encodeURIComponent(season.id)}/participation`)
+      .then(response => {
+        const { contests } = response.data.result;
+        setParticipation(contests);
+        setContestId(contests.length > 0 ? contests[contests.length - 1].contestId : null);
+      })
+      .catch(err => setError(err.response?.data?.comment || err.message));
+  }, [season?.id]);
+
+  useEffect(() => {
+    if (!contestId) return;
+    setStats(null);
+    axios.get(`${API_URL}/api/contests/${encodeURIComponent(contestId)}/stats`)
+      .then(response => setStats(response.data.result))
+      .catch(err => setError(err.response?.data?.comment || err.message));
+  }, [contestId]);
+
+  if (!season) return <p className="codemon-card text-secondary text-sm">Statistics are grouped by season, and no season is configured.</p>;
+  if (error) return <p className="codemon-card text-red-400 text-sm">{error}</p>;
+  if (!participation) return <LoadingSpinner />;
+
+  return (
+    <div className="space-y-6">
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold text-primary mb-1">Participation</h2>
+        <p className="text-secondary text-sm mb-4">Trainers per contest in {season.name}, split into returning and new, with the share of the previous contest's trainers who came back.</p>
+        <ParticipationChart contests={participation} />
+      </section>
+
+      <section className="codemon-card">
+        <h2 className="text-lg font-semibold text-primary mb-3">Contest statistics</h2>
+        <div className="flex flex-wrap gap-2 mb-4" role="tablist">
+          {participation.map(contest => (
+            <button
+              key={contest.contestId}
+              role="tab"
+              aria-selected={contestId === contest.contestId}
+              onClick={() => setContestId(contest.contestId)}
+              className={`admin-button ${contestId === contest.contestId ? '' : 'opacity-60'}`}
+            >
+              {contest.name}
+            </button>
+          ))}
+        </div>
+        {stats ? <ContestStats stats={stats} /> : <LoadingSpinner />}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React from 'react';
+
+const formatMultiplier = (m) => `x${m.toFixed(2)}`;
+
+// Plain-language summary of a season's streak rules, as returned in `season.streaks`.
+export function describeStreakRules(streaks) {
+  const lines = [];
+  lines.push(streaks.participation === 'attended'
+    ? 'Taking part in a contest keeps your streak going, whatever your score.'
+    : 'A contest only counts towards your streak if you score points in it.');
+
+  const steps = streaks.multipliers
+    .map((m, streak) => ({ streak, m }))
+    .filter(({ streak, m }) => streak > 0 && m !== 1);
+  if (steps.length > 0) {
+    const last = steps[steps.length - 1];
+    lines.push(`Multipliers: ${steps.map(({ streak, m }) => `${streak} in a row ${formatMultiplier(m)}`).join(', ')}${last.streak === streaks.multipliers.length - 1 ? ' and beyond' : ''}.`);
+  }
+  if (streaks.max) lines.push(`Streaks stop growing at ${streaks.max}.`);
+  if (streaks.freezes > 0) {
+    lines.push(`${streaks.freezes} missed contest${streaks.freezes === 1 ? ' is' : 's are'} excused each season without touching your streak.`);
+  }
+  lines.push(streaks.decay === null
+    ? 'Missing a contest resets your streak.'
+    : `Missing a contest drops your streak by ${streaks.decay} instead of resetting it.`);
+  return lines;
+}
+
+export default function StreakRules({ season }) {
+  if (!season?.streaks) return null;
+  return (
+    <div className="note-card">
+      <p className="font-bold text-base text-amber-400">Streak rules for {season.name}:</p>
+      <ul className="mt-2 text-secondary list-disc list-inside space-y-1">
+        {describeStreakRules(season.streaks).map(line => <li key={line}>{line}</li>)}
+      </ul>
+    </div>
+  );
+}
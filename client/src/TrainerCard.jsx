@@ -0,0 +1,59 @@
+import React from 'react';
+import { seasonPath } from './useHashRoute';
+import { RankArrow } from './ClimbersCard';
+import BadgeStrip from './Badges';
+
+const PODIUM_POKEMON = [
+  'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/6.png',
+  'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/9.png',
+  'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/3.png'
+];
+
+const POKEBALL_ICON = 'https://www.freeiconspng.com/uploads/pokeball-icon-3.png';
+
+export const trainerIcon = (rank) => (rank <= 3 ? PODIUM_POKEMON[rank - 1] : POKEBALL_ICON);
+
+export function rankClass(rank) {
+  if (!rank) return 'text-slate-400';
+  const r = +rank;
+  if (r <= 10) return 'rank-master';
+  if (r <= 100) return 'rank-expert';
+  if (r <= 500) return 'rank-specialist';
+  if (r <= 2000) return 'rank-pupil';
+  return 'rank-newbie';
+}
+
+// The compact leaderboard row used on phones: rank, trainer and total, then one chip per contest.
+export default function TrainerCard({ row, contests, seasonId, highlighted, rankChange, achievements }) {
+  return (
+    <div className={`note-card ${highlighted ? 'highlight-me' : ''}`}>
+      <div className="flex items-center gap-3">
+        <div className="w-12 text-center">
+          <span className={`text-lg font-bold ${rankClass(row.rank)}`} title={row.rankReason}>{row.rank}</span>
+          <div><RankArrow change={rankChange} /></div>
+        </div>
+        <img src={trainerIcon(row.rank)} alt="Trainer Icon" className="w-10 h-10 image-pixelated" />
+        <div className="flex-1 min-w-0">
+          <a href={seasonPath(seasonId, `/trainer/${encodeURIComponent(row.handle)}`)} className="font-medium text-primary hover:underline break-all">{row.displayName || row.handle}</a>
+          {row.displayName && row.displayName !== row.handle && <p className="text-xs text-secondary break-all">{row.handle}</p>}
+          <BadgeStrip badges={row.badges} achievements={achievements} />
+        </div>
+        <span className="font-bold text-primary">{row.score.toFixed(2)}</span>
+      </div>
+      <div className="flex flex-wrap gap-1 mt-3">
+        {contests.map((contest, i) => {
+          const entry = row.contests[contest.id];
+          return (
+            <span
+              key={contest.id}
+              className={`px-2 py-0.5 rounded text-xs border border-table ${entry ? 'text-primary' : 'text-slate-500'}`}
+              title={contest.name}
+            >
+              C{i + 1}: {entry ? `${entry.score.toFixed(1)}${entry.streak ? ` · ${entry.streak}x` : ''}` : '—'}
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,8 @@
+// The API base, first match wins: `apiUrl` in public/config.js, which can be edited in a deployed
+// build without rebuilding; `VITE_API_URL` at build time (e.g. `VITE_API_URL=http://localhost:8787 npm run dev`);
+// then the hosted API.
+const runtimeConfig = (typeof window !== 'undefined' && window.CODEMON_CONFIG) || {};
+
+export const API_URL = (runtimeConfig.apiUrl || import.meta.env.VITE_API_URL || 'https://codemon-leaderboard.onrender.com').replace(/\/+$/, '');
+
+export const WS_URL = `${API_URL.replace(/^http/, 'ws')}/ws`;
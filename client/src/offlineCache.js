@@ -0,0 +1,24 @@
+// Last-known API responses in localStorage, so the leaderboard still shows something when the API is unreachable.
+
+const PREFIX = 'codemon:cache:';
+
+export function writeCache(key, data) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify({ savedAt: new Date().toISOString(), data }));
+  } catch {
+    // Storage can be full or refused in private browsing; the cache is only a fallback.
+  }
+}
+
+// `{ savedAt, data }`, or null when nothing usable is stored.
+export function readCache(key) {
+  try {
+    const entry = JSON.parse(window.localStorage.getItem(PREFIX + key));
+    return entry?.savedAt && entry.data !== undefined ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+// Only a missing response or a server failure means "unreachable"; a 4xx is a real answer to show.
+export const isUnreachable = (err) => !err.response || err.response.status >= 500;
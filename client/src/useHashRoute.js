@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+
+const currentRoute = () => window.location.hash.replace(/^#/, '') || '/';
+
+// `#/season/<id>/...` pins a season so links can be shared; routes without it use the current season.
+export function parseSeasonRoute(route) {
+  const match = route.match(/^\/season\/([^/]+)(\/.*)?$/);
+  return match ? { seasonId: decodeURIComponent(match[1]), page: match[2] || '/' } : { seasonId: null, page: route };
+}
+
+export const seasonPath = (seasonId, page = '') => (seasonId ? `#/season/${encodeURIComponent(seasonId)}${page}` : `#${page || '/'}`);
+
+export default function useHashRoute() {
+  const [route, setRoute] = useState(currentRoute);
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(currentRoute());
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  return route;
+}
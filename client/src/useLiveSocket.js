@@ -0,0 +1,62 @@
+import { useEffect, useRef, useState } from 'react';
+import { WS_URL } from './api';
+
+const INITIAL_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+const PING_INTERVAL_MS = 25000;
+
+// Subscribes to a room on the server's /ws endpoint (`contestId=<id>` or `series=<ids>`),
+// reconnecting with jittered exponential backoff. Pass a null query to stay disconnected.
+// Returns the connection state: idle, connecting, open or reconnecting.
+export default function useLiveSocket(query, onMessage) {
+  const [connection, setConnection] = useState('idle');
+  const onMessageRef = useRef(onMessage);
+  onMessageRef.current = onMessage;
+
+  useEffect(() => {
+    if (!query) return undefined;
+    let ws;
+    let retryTimer;
+    let pingTimer;
+    let attempt = 0;
+    let stopped = false;
+
+    const connect = () => {
+      setConnection(attempt === 0 ? 'connecting' : 'reconnecting');
+      ws = new WebSocket(`${WS_URL}?${query}`);
+      ws.onopen = () => {
+        attempt = 0;
+        setConnection('open');
+        pingTimer = setInterval(() => ws.send(JSON.stringify({ type: 'ping' })), PING_INTERVAL_MS);
+      };
+      ws.onmessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          if (message.type !== 'pong') onMessageRef.current(message);
+        } catch (err) {
+          console.error('Ignoring malformed live update:', err);
+        }
+      };
+      ws.onclose = () => {
+        clearInterval(pingTimer);
+        if (stopped) return;
+        const backoff = Math.min(MAX_BACKOFF_MS, INITIAL_BACKOFF_MS * 2 ** attempt);
+        attempt += 1;
+        setConnection('reconnecting');
+        retryTimer = setTimeout(connect, backoff / 2 + Math.random() * backoff / 2);
+      };
+      ws.onerror = () => ws.close();
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      clearInterval(pingTimer);
+      ws?.close();
+      setConnection('idle');
+    };
+  }, [query]);
+
+  return connection;
+}
@@ -0,0 +1,31 @@
+import { useState } from 'react';
+
+const STORAGE_KEY = 'codemon:my-handle';
+
+const read = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+// The visitor's own handle, remembered in localStorage so their row is highlighted on every visit.
+export default function useSavedHandle() {
+  const [handle, setHandle] = useState(read);
+
+  const save = (value) => {
+    const trimmed = value.trim();
+    try {
+      if (trimmed) window.localStorage.setItem(STORAGE_KEY, trimmed);
+      else window.localStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // Private browsing can refuse storage; the handle still applies for this visit.
+    }
+    setHandle(trimmed);
+  };
+
+  return [handle, save];
+}
+
+export const isSameHandle = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();